@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "workflows" ADD COLUMN     "is_latest" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "root_workflow_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "workflows_tenant_id_is_latest_idx" ON "workflows"("tenant_id", "is_latest");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflows_root_workflow_id_version_key" ON "workflows"("root_workflow_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "workflows" ADD CONSTRAINT "workflows_root_workflow_id_fkey" FOREIGN KEY ("root_workflow_id") REFERENCES "workflows"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "workflow_timers" (
+    "id" UUID NOT NULL,
+    "case_id" UUID NOT NULL,
+    "workflow_id" UUID NOT NULL,
+    "state_entry_id" UUID,
+    "state" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "transition" TEXT,
+    "event" TEXT,
+    "due_at" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "locked_at" TIMESTAMP(3),
+    "fired_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workflow_timers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_timers_status_due_at_idx" ON "workflow_timers"("status", "due_at");
+
+-- CreateIndex
+CREATE INDEX "workflow_timers_case_id_status_idx" ON "workflow_timers"("case_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "workflow_timers" ADD CONSTRAINT "workflow_timers_case_id_fkey" FOREIGN KEY ("case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workflow_timers" ADD CONSTRAINT "workflow_timers_workflow_id_fkey" FOREIGN KEY ("workflow_id") REFERENCES "workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workflow_timers" ADD CONSTRAINT "workflow_timers_state_entry_id_fkey" FOREIGN KEY ("state_entry_id") REFERENCES "workflow_states"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "workflow_bindings" (
+    "id" UUID NOT NULL,
+    "tenant_id" UUID NOT NULL,
+    "case_type" TEXT NOT NULL,
+    "priority" TEXT,
+    "workflow_id" UUID NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workflow_bindings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_bindings_tenant_id_case_type_idx" ON "workflow_bindings"("tenant_id", "case_type");
+
+-- CreateIndex
+CREATE INDEX "workflow_bindings_workflow_id_idx" ON "workflow_bindings"("workflow_id");
+
+-- AddForeignKey
+ALTER TABLE "workflow_bindings" ADD CONSTRAINT "workflow_bindings_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workflow_bindings" ADD CONSTRAINT "workflow_bindings_workflow_id_fkey" FOREIGN KEY ("workflow_id") REFERENCES "workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "case_tasks" (
+    "id" UUID NOT NULL,
+    "case_id" UUID NOT NULL,
+    "workflow_id" UUID NOT NULL,
+    "state_entry_id" UUID,
+    "state" TEXT NOT NULL,
+    "name" TEXT,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "origin" TEXT NOT NULL DEFAULT 'manual',
+    "required" BOOLEAN NOT NULL DEFAULT true,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "sub_workflow_id" UUID,
+    "current_state" TEXT,
+    "assigned_to" UUID,
+    "due_at" TIMESTAMP(3),
+    "created_by" UUID,
+    "completed_by" UUID,
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "case_tasks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "case_tasks_case_id_status_idx" ON "case_tasks"("case_id", "status");
+
+-- CreateIndex
+CREATE INDEX "case_tasks_state_entry_id_idx" ON "case_tasks"("state_entry_id");
+
+-- CreateIndex
+CREATE INDEX "case_tasks_assigned_to_status_idx" ON "case_tasks"("assigned_to", "status");
+
+-- AddForeignKey
+ALTER TABLE "case_tasks" ADD CONSTRAINT "case_tasks_case_id_fkey" FOREIGN KEY ("case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_tasks" ADD CONSTRAINT "case_tasks_workflow_id_fkey" FOREIGN KEY ("workflow_id") REFERENCES "workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_tasks" ADD CONSTRAINT "case_tasks_sub_workflow_id_fkey" FOREIGN KEY ("sub_workflow_id") REFERENCES "workflows"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_tasks" ADD CONSTRAINT "case_tasks_state_entry_id_fkey" FOREIGN KEY ("state_entry_id") REFERENCES "workflow_states"("id") ON DELETE CASCADE ON UPDATE CASCADE;
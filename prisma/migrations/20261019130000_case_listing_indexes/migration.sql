@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "cases_tenant_id_created_at_idx" ON "cases"("tenant_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "cases_tenant_id_due_date_idx" ON "cases"("tenant_id", "due_date");
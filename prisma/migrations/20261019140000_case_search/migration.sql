@@ -0,0 +1,11 @@
+-- AlterTable
+-- Title (weight A), description (B) and every string value in metadata (C),
+-- with the 'simple' configuration so names and other languages are not stemmed
+ALTER TABLE "cases" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce("description", '')), 'B') ||
+    setweight(jsonb_to_tsvector('simple', coalesce("metadata", '{}'::jsonb), '["string"]'), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "cases_search_vector_idx" ON "cases" USING GIN ("search_vector");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "case_number_sequences" (
+    "tenant_id" UUID NOT NULL,
+    "key" TEXT NOT NULL,
+    "value" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "case_number_sequences_pkey" PRIMARY KEY ("tenant_id","key")
+);
+
+-- AddForeignKey
+ALTER TABLE "case_number_sequences" ADD CONSTRAINT "case_number_sequences_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "case_notes" (
+    "id" UUID NOT NULL,
+    "case_id" UUID NOT NULL,
+    "tenant_id" UUID NOT NULL,
+    "author_id" UUID NOT NULL,
+    "body" TEXT NOT NULL,
+    "visibility" TEXT NOT NULL DEFAULT 'internal',
+    "mentions" UUID[],
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "edited_at" TIMESTAMP(3),
+    "deleted_at" TIMESTAMP(3),
+    "deleted_by" UUID,
+
+    CONSTRAINT "case_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "case_note_revisions" (
+    "id" UUID NOT NULL,
+    "note_id" UUID NOT NULL,
+    "body" TEXT NOT NULL,
+    "visibility" TEXT NOT NULL,
+    "mentions" UUID[],
+    "edited_by" UUID NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "case_note_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "case_notes_case_id_created_at_idx" ON "case_notes"("case_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "case_notes_tenant_id_idx" ON "case_notes"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "case_note_revisions_note_id_created_at_idx" ON "case_note_revisions"("note_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "case_notes" ADD CONSTRAINT "case_notes_case_id_fkey" FOREIGN KEY ("case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_notes" ADD CONSTRAINT "case_notes_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_note_revisions" ADD CONSTRAINT "case_note_revisions_note_id_fkey" FOREIGN KEY ("note_id") REFERENCES "case_notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "case_history" (
+    "id" UUID NOT NULL,
+    "case_id" UUID NOT NULL,
+    "tenant_id" UUID NOT NULL,
+    "change_set_id" UUID NOT NULL,
+    "field" TEXT NOT NULL,
+    "old_value" JSONB,
+    "new_value" JSONB,
+    "changed_by" UUID,
+    "changed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "case_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "case_history_case_id_changed_at_idx" ON "case_history"("case_id", "changed_at");
+
+-- CreateIndex
+CREATE INDEX "case_history_case_id_field_idx" ON "case_history"("case_id", "field");
+
+-- AddForeignKey
+ALTER TABLE "case_history" ADD CONSTRAINT "case_history_case_id_fkey" FOREIGN KEY ("case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_history" ADD CONSTRAINT "case_history_changed_by_fkey" FOREIGN KEY ("changed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "cases" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "case_bulk_jobs" (
+    "id" UUID NOT NULL,
+    "tenant_id" UUID NOT NULL,
+    "operation" TEXT NOT NULL,
+    "params" JSONB NOT NULL,
+    "case_ids" UUID[],
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "total" INTEGER NOT NULL,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "results" JSONB NOT NULL DEFAULT '[]',
+    "created_by" UUID,
+    "locked_at" TIMESTAMP(3),
+    "started_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "case_bulk_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cases_tags_idx" ON "cases" USING GIN ("tags");
+
+-- CreateIndex
+CREATE INDEX "case_bulk_jobs_tenant_id_created_at_idx" ON "case_bulk_jobs"("tenant_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "case_bulk_jobs_status_idx" ON "case_bulk_jobs"("status");
+
+-- AddForeignKey
+ALTER TABLE "case_bulk_jobs" ADD CONSTRAINT "case_bulk_jobs_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "cases" ADD COLUMN     "merged_at" TIMESTAMP(3),
+ADD COLUMN     "merged_by" UUID,
+ADD COLUMN     "merged_into_id" UUID;
+
+-- CreateTable
+CREATE TABLE "case_links" (
+    "id" UUID NOT NULL,
+    "tenant_id" UUID NOT NULL,
+    "from_case_id" UUID NOT NULL,
+    "to_case_id" UUID NOT NULL,
+    "type" TEXT NOT NULL,
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "case_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cases_merged_into_id_idx" ON "cases"("merged_into_id");
+
+-- CreateIndex
+CREATE INDEX "case_links_to_case_id_idx" ON "case_links"("to_case_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "case_links_from_case_id_to_case_id_type_key" ON "case_links"("from_case_id", "to_case_id", "type");
+
+-- AddForeignKey
+ALTER TABLE "cases" ADD CONSTRAINT "cases_merged_into_id_fkey" FOREIGN KEY ("merged_into_id") REFERENCES "cases"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cases" ADD CONSTRAINT "cases_merged_by_fkey" FOREIGN KEY ("merged_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_links" ADD CONSTRAINT "case_links_from_case_id_fkey" FOREIGN KEY ("from_case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_links" ADD CONSTRAINT "case_links_to_case_id_fkey" FOREIGN KEY ("to_case_id") REFERENCES "cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "case_links" ADD CONSTRAINT "case_links_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
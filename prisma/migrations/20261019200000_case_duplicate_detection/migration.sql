@@ -0,0 +1,5 @@
+-- pg_trgm provides similarity() and the % operator used to find cases with similar titles
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "cases_title_idx" ON "cases" USING GIN ("title" gin_trgm_ops);
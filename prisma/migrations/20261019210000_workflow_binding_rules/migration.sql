@@ -0,0 +1,14 @@
+-- Keep the oldest of any bindings created concurrently for the same rule
+DELETE FROM "workflow_bindings" b
+USING "workflow_bindings" older
+WHERE b."tenant_id" = older."tenant_id"
+  AND b."case_type" = older."case_type"
+  AND b."priority" IS NOT DISTINCT FROM older."priority"
+  AND (older."created_at", older."id") < (b."created_at", b."id");
+
+-- DropIndex
+DROP INDEX "workflow_bindings_tenant_id_case_type_idx";
+
+-- CreateIndex
+-- NULLS NOT DISTINCT: a binding for the type alone (priority null) is a rule too
+CREATE UNIQUE INDEX "workflow_bindings_tenant_id_case_type_priority_key" ON "workflow_bindings"("tenant_id", "case_type", "priority") NULLS NOT DISTINCT;
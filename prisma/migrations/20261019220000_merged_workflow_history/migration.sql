@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "workflow_states" ADD COLUMN     "merged_from_case_id" UUID;
+
+-- Fold the workflow history of cases merged earlier into the case they were merged into
+UPDATE "workflow_states" ws
+SET "merged_from_case_id" = ws."case_id", "case_id" = c."merged_into_id"
+FROM "cases" c
+WHERE c."id" = ws."case_id" AND c."merged_into_id" IS NOT NULL;
+
+-- Their workflows ended with the merge
+UPDATE "workflow_timers" t
+SET "status" = 'cancelled', "updated_at" = CURRENT_TIMESTAMP
+FROM "cases" c
+WHERE c."id" = t."case_id" AND c."merged_into_id" IS NOT NULL AND t."status" = 'pending';
+
+UPDATE "case_tasks" t
+SET "status" = 'cancelled', "updated_at" = CURRENT_TIMESTAMP
+FROM "cases" c
+WHERE c."id" = t."case_id" AND c."merged_into_id" IS NOT NULL AND t."status" IN ('open', 'in_progress');
@@ -0,0 +1,8 @@
+-- AlterTable
+-- Note bodies rank below every field of the case (weight D)
+ALTER TABLE "case_notes" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', "body"), 'D')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "case_notes_search_vector_idx" ON "case_notes" USING GIN ("search_vector");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "case_tasks" ADD COLUMN     "merged_from_case_id" UUID;
+
+-- Move the tasks of cases merged earlier to the case they were merged into
+UPDATE "case_tasks" t
+SET "merged_from_case_id" = t."case_id", "case_id" = c."merged_into_id"
+FROM "cases" c
+WHERE c."id" = t."case_id" AND c."merged_into_id" IS NOT NULL;
@@ -90,6 +90,10 @@ async function main() {
         timezone: 'UTC',
         dateFormat: 'YYYY-MM-DD',
         caseNumberPrefix: 'TEST',
+        caseNumbering: {
+          pattern: '{TENANT}-{YYYY}-{SEQ:6}',
+          typePrefixes: {},
+        },
       },
       isActive: true,
     },
@@ -275,14 +279,45 @@ async function main() {
       name: 'Standard Case Workflow',
       description: 'Default workflow for case management',
       definition: {
-        states: ['open', 'in_progress', 'under_review', 'resolved', 'closed'],
+        states: [
+          'open',
+          'in_progress',
+          {
+            name: 'under_review',
+            timers: [
+              {
+                name: 'review-sla',
+                duration: '5d',
+                calendar: 'business',
+                transition: 'Return for Changes',
+                event: 'case.escalated',
+              },
+            ],
+          },
+          {
+            name: 'resolved',
+            onEnter: [
+              { type: 'setField', field: 'resolvedAt', value: '$now' },
+              { type: 'publish', event: 'case.resolved' },
+            ],
+          },
+          'closed',
+        ],
         initialState: 'open',
         transitions: [
           { from: 'open', to: 'in_progress', name: 'Start Work' },
           { from: 'in_progress', to: 'under_review', name: 'Submit for Review' },
           { from: 'under_review', to: 'in_progress', name: 'Return for Changes' },
-          { from: 'under_review', to: 'resolved', name: 'Approve' },
-          { from: 'resolved', to: 'closed', name: 'Close Case' },
+          {
+            from: 'under_review',
+            to: 'resolved',
+            name: 'Approve',
+            guards: [
+              { type: 'requiredMetadata', key: 'resolutionSummary', message: 'Resolution summary is required' },
+              { type: 'minAttachments', count: 1 },
+            ],
+          },
+          { from: 'resolved', to: 'closed', name: 'Close Case', permissions: ['cases:close'] },
           { from: 'in_progress', to: 'closed', name: 'Cancel Case' },
         ],
       },
@@ -10,11 +10,28 @@
 const ROUTE_PERMISSIONS = {
   // Cases
   'GET:/api/v1/cases': 'cases:read',
+  'GET:/api/v1/cases/search': 'cases:read',
+  'POST:/api/v1/cases/bulk': 'cases:update',
+  'POST:/api/v1/cases/bulk/assign': 'cases:assign',
+  'POST:/api/v1/cases/bulk/delete': 'cases:delete',
+  'GET:/api/v1/cases/bulk/:jobId': 'cases:read',
+  'POST:/api/v1/cases/duplicates': 'cases:create',
   'POST:/api/v1/cases': 'cases:create',
   'GET:/api/v1/cases/:id': 'cases:read',
   'PUT:/api/v1/cases/:id': 'cases:update',
   'PATCH:/api/v1/cases/:id': 'cases:update',
   'DELETE:/api/v1/cases/:id': 'cases:delete',
+  'GET:/api/v1/cases/:id/timeline': 'cases:read',
+  'GET:/api/v1/cases/:id/history': 'cases:read',
+  'GET:/api/v1/cases/:id/notes': 'cases:read',
+  'POST:/api/v1/cases/:id/notes': 'cases:update',
+  'PUT:/api/v1/cases/:id/notes/:noteId': 'cases:update',
+  'DELETE:/api/v1/cases/:id/notes/:noteId': 'cases:update',
+  'GET:/api/v1/cases/:id/notes/:noteId/revisions': 'cases:read',
+  'GET:/api/v1/cases/:id/links': 'cases:read',
+  'POST:/api/v1/cases/:id/links': 'cases:update',
+  'DELETE:/api/v1/cases/:id/links/:linkId': 'cases:update',
+  'POST:/api/v1/cases/:id/merge': 'cases:delete',
   'POST:/api/v1/cases/:id/assign': 'cases:assign',
   'POST:/api/v1/cases/:id/close': 'cases:close',
 
@@ -25,9 +42,32 @@ const ROUTE_PERMISSIONS = {
   // Workflows
   'GET:/api/v1/workflows': 'workflows:read',
   'POST:/api/v1/workflows': 'workflows:create',
+  'POST:/api/v1/workflows/validate': 'workflows:read',
+  'POST:/api/v1/workflows/import': 'workflows:create',
+  'GET:/api/v1/workflows/bindings': 'workflows:read',
+  'POST:/api/v1/workflows/bindings': 'workflows:update',
+  'PUT:/api/v1/workflows/bindings/:bindingId': 'workflows:update',
+  'DELETE:/api/v1/workflows/bindings/:bindingId': 'workflows:update',
   'GET:/api/v1/workflows/:id': 'workflows:read',
   'PUT:/api/v1/workflows/:id': 'workflows:update',
   'DELETE:/api/v1/workflows/:id': 'workflows:delete',
+  'GET:/api/v1/workflows/:id/versions': 'workflows:read',
+  'POST:/api/v1/workflows/:id/migrate': 'workflows:update',
+  'GET:/api/v1/workflows/:id/diagram': 'workflows:read',
+  'GET:/api/v1/workflows/:id/export': 'workflows:read',
+  'POST:/api/v1/workflows/:id/simulate': 'workflows:read',
+  'GET:/api/v1/workflows/:id/analytics/time-in-state': 'workflows:read',
+  'GET:/api/v1/workflows/:id/analytics/transitions': 'workflows:read',
+  'GET:/api/v1/workflows/:id/analytics/stuck-cases': 'workflows:read',
+  'POST:/api/v1/workflows/cases/:caseId/start': 'cases:update',
+  'GET:/api/v1/workflows/cases/:caseId/available-transitions': 'workflows:read',
+  'GET:/api/v1/workflows/cases/:caseId/approval': 'workflows:read',
+  'POST:/api/v1/workflows/cases/:caseId/votes': 'cases:update',
+  'GET:/api/v1/workflows/cases/:caseId/tasks': 'cases:read',
+  'POST:/api/v1/workflows/cases/:caseId/tasks': 'cases:update',
+  'GET:/api/v1/workflows/tasks/:taskId': 'cases:read',
+  'PUT:/api/v1/workflows/tasks/:taskId': 'cases:update',
+  'POST:/api/v1/workflows/tasks/:taskId/transitions': 'cases:update',
 
   // Users (via RBAC service)
   'GET:/api/v1/rbac/users': 'users:read',
@@ -43,7 +43,9 @@ async function startServer() {
   app.use(cors({
     origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-tenant-id'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-tenant-id', 'If-Match', 'If-None-Match'],
+    // ETags are sent back in If-Match to detect conflicting updates
+    exposedHeaders: ['ETag'],
     credentials: true,
   }));
 
@@ -1,5 +1,7 @@
 import prisma from '../config/database.js';
+import { NotFoundError } from '../../../shared/common/errors.js';
 import EventBus from '../../../shared/utils/eventBus.js';
+import { caseAccessWhere, findAccessibleCase } from '../services/access.service.js';
 
 const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
 
@@ -11,6 +13,7 @@ export async function getAssignments(req, res, next) {
         ...(caseId && { caseId }),
         ...(assignedTo && { assignedTo }),
         isActive: true,
+        case: caseAccessWhere(req.tenantId),
       },
       include: {
         case: true,
@@ -26,6 +29,7 @@ export async function getAssignments(req, res, next) {
 
 export async function assignCase(req, res, next) {
   try {
+    await findAccessibleCase(req.body.caseId, req.tenantId);
     const assignment = await prisma.assignment.create({
       data: req.body,
       include: {
@@ -45,6 +49,10 @@ export async function assignCase(req, res, next) {
 
 export async function unassignCase(req, res, next) {
   try {
+    const assignment = await prisma.assignment.findFirst({
+      where: { id: req.params.id, case: caseAccessWhere(req.tenantId) },
+    });
+    if (!assignment) throw new NotFoundError('Assignment');
     await prisma.assignment.update({
       where: { id: req.params.id },
       data: { isActive: false, unassignedAt: new Date() },
@@ -1,8 +1,10 @@
 import prisma from '../config/database.js';
 import { NotFoundError } from '../../../shared/common/errors.js';
+import { caseAccessWhere, findAccessibleCase } from '../services/access.service.js';
 
 export async function getAttachments(req, res, next) {
   try {
+    await findAccessibleCase(req.params.caseId, req.tenantId);
     const attachments = await prisma.caseAttachment.findMany({
       where: {
         caseId: req.params.caseId,
@@ -22,8 +24,9 @@ export async function uploadAttachment(req, res, next) {
   try {
     // File upload logic would go here
     // For now, just create the record
+    await findAccessibleCase(req.body.caseId, req.tenantId);
     const attachment = await prisma.caseAttachment.create({
-      data: req.body,
+      data: { ...req.body, tenantId: req.tenantId },
       include: {
         uploader: true,
       },
@@ -36,6 +39,10 @@ export async function uploadAttachment(req, res, next) {
 
 export async function deleteAttachment(req, res, next) {
   try {
+    const attachment = await prisma.caseAttachment.findFirst({
+      where: { id: req.params.id, deletedAt: null, case: caseAccessWhere(req.tenantId) },
+    });
+    if (!attachment) throw new NotFoundError('Attachment');
     await prisma.caseAttachment.update({
       where: { id: req.params.id },
       data: { deletedAt: new Date() },
@@ -0,0 +1,35 @@
+import { getBulkJob, runBulkOperation } from '../services/bulk.service.js';
+
+async function runBulk(req, res, next, route) {
+  try {
+    const result = await runBulkOperation(
+      req.body ?? {},
+      { tenantId: req.tenantId, actorId: req.headers['x-user-id'] },
+      route
+    );
+    res.status(result.job ? 202 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function runBulkCaseOperation(req, res, next) {
+  return runBulk(req, res, next);
+}
+
+export function runBulkCaseAssign(req, res, next) {
+  return runBulk(req, res, next, 'assign');
+}
+
+export function runBulkCaseDelete(req, res, next) {
+  return runBulk(req, res, next, 'delete');
+}
+
+export async function getBulkCaseJob(req, res, next) {
+  try {
+    const job = await getBulkJob(req.params.jobId, req.tenantId);
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -1,26 +1,79 @@
 import prisma from '../config/database.js';
-import { NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+import { AppError, ValidationError } from '../../../shared/common/errors.js';
 import EventBus from '../../../shared/utils/eventBus.js';
+import Logger from '../../../shared/common/logger.js';
+import { entityTag } from '../../../shared/utils/etag.js';
+import { assertStartableWorkflow, startCaseWorkflow } from '../services/workflow.service.js';
+import { listCases } from '../services/listing.service.js';
+import { searchCases } from '../services/search.service.js';
+import { createNumberedCase } from '../services/numbering.service.js';
+import { findAccessibleCase } from '../services/access.service.js';
+import { validateCaseFields } from '../services/fields.service.js';
+import { getTimeline } from '../services/timeline.service.js';
+import { listCaseHistory, updateCaseWithHistory } from '../services/history.service.js';
+import { findMergeTarget } from '../services/link.service.js';
+import { findDuplicateCandidates } from '../services/duplicate.service.js';
 
 const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
+const logger = new Logger('case-service');
+
+// Fields a case update may change. Ownership moves through referrals and the
+// workflow through the workflow-service; the status of a case on a workflow
+// follows its transitions.
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'priority',
+  'status',
+  'assignedTo',
+  'metadata',
+  'tags',
+  'dueDate',
+  'resolvedAt',
+];
+
+// Fields a new case may be given. Its tenant and creator are the caller's,
+// its status is the initial one (or its workflow's) and it starts unmerged.
+const CREATABLE_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'priority',
+  'assignedTo',
+  'metadata',
+  'tags',
+  'dueDate',
+];
+
+function pickFields(body, fields) {
+  return Object.fromEntries(
+    fields.filter(field => Object.hasOwn(body, field)).map(field => [field, body[field]])
+  );
+}
+
+function caseUpdateData(body, case_) {
+  const data = pickFields(body, UPDATABLE_FIELDS);
+  if (case_.workflowId && data.status !== undefined && data.status !== case_.status) {
+    throw new ValidationError('The status of a case on a workflow changes through its transitions');
+  }
+  validateCaseFields(data, case_);
+  return data;
+}
 
 export async function getCases(req, res, next) {
   try {
-    const { tenantId, status, type, assignedTo } = req.query;
-    const cases = await prisma.case.findMany({
-      where: {
-        ...(tenantId && { tenantId }),
-        ...(status && { status }),
-        ...(type && { type }),
-        ...(assignedTo && { assignedTo }),
-      },
-      include: {
-        tenant: true,
-        assignee: true,
-        creator: true,
-      },
-    });
-    res.json({ cases });
+    const result = await listCases(req.query, req.tenantId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function searchCaseRecords(req, res, next) {
+  try {
+    const result = await searchCases(req.query, req.tenantId);
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -28,8 +81,14 @@ export async function getCases(req, res, next) {
 
 export async function getCase(req, res, next) {
   try {
-    const case_ = await prisma.case.findUnique({
-      where: { id: req.params.id },
+    // A merged duplicate redirects to the case it was merged into
+    const mergedIntoId = await findMergeTarget(req.params.id, req.tenantId);
+    if (mergedIntoId) {
+      res.redirect(301, mergedIntoId);
+      return;
+    }
+
+    const case_ = await findAccessibleCase(req.params.id, req.tenantId, {
       include: {
         tenant: true,
         assignee: true,
@@ -37,24 +96,114 @@ export async function getCase(req, res, next) {
         attachments: true,
       },
     });
-    if (!case_) throw new NotFoundError('Case');
+    res.set('ETag', entityTag(case_));
     res.json({ case: case_ });
   } catch (error) {
     next(error);
   }
 }
 
+export async function getCaseTimeline(req, res, next) {
+  try {
+    const result = await getTimeline(req.params.id, req.query, req.tenantId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getCaseHistory(req, res, next) {
+  try {
+    const history = await listCaseHistory(req.params.id, req.query, req.tenantId);
+    res.json({ history });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function findDuplicateCases(req, res, next) {
+  try {
+    const candidates = await findDuplicateCandidates(req.body ?? {}, req.tenantId);
+    res.json({ candidates });
+  } catch (error) {
+    next(error);
+  }
+}
+
 export async function createCase(req, res, next) {
   try {
-    const case_ = await prisma.case.create({
-      data: req.body,
+    // The case number is drawn from the tenant's numbering pattern, and the
+    // workflow-service attaches the workflow (requested or bound to the case
+    // type) so that its initial state is recorded. Cases are always created
+    // in the caller's tenant. A requested workflow is checked up front, so a
+    // case is not created for a workflow it cannot start on.
+    const body = req.body ?? {};
+    const { workflowId } = body;
+    const data = {
+      ...pickFields(body, CREATABLE_FIELDS),
+      tenantId: req.tenantId,
+      createdBy: req.headers['x-user-id'],
+    };
+    validateCaseFields(data);
+    if (workflowId !== undefined) await assertStartableWorkflow(workflowId, req.tenantId);
+
+    // Likely duplicates are returned instead of creating the case, so the
+    // client can link to one of them or confirm with allowDuplicates=true
+    if (req.query.allowDuplicates !== 'true') {
+      const candidates = await findDuplicateCandidates(data, req.tenantId);
+      if (candidates.length > 0) {
+        res.status(409).json({
+          error: {
+            code: 'POSSIBLE_DUPLICATE',
+            message: 'Similar cases already exist',
+            candidates,
+          },
+        });
+        return;
+      }
+    }
+
+    let case_ = await createNumberedCase(data, {
       include: {
         tenant: true,
         creator: true,
       },
     });
-    await eventBus.publish('case.created', { caseId: case_.id, tenantId: case_.tenantId });
-    res.status(201).json({ case: case_ });
+
+    let workflowState = null;
+    let workflowError = null;
+    try {
+      workflowState = await startCaseWorkflow(case_, {
+        userId: req.headers['x-user-id'],
+        workflowId,
+      });
+    } catch (error) {
+      // The case is kept; its workflow can be started later from the workflow-service
+      logger.error('Failed to start case workflow', { caseId: case_.id, error: error.message });
+      workflowError = error;
+    }
+    if (workflowState) {
+      case_ = await prisma.case.findUnique({
+        where: { id: case_.id },
+        include: { tenant: true, creator: true },
+      });
+    }
+
+    await eventBus.publish('case.created', {
+      caseId: case_.id,
+      tenantId: case_.tenantId,
+      workflowId: case_.workflowId,
+    });
+    // Only a workflow picked by the tenant's bindings may fail to start quietly
+    if (workflowId !== undefined && workflowError) {
+      throw new AppError(
+        `Case ${case_.caseNumber} was created, but workflow ${workflowId} could not be started: ${workflowError.message}`,
+        502,
+        'WORKFLOW_START_FAILED'
+      );
+    }
+    res.set('ETag', entityTag(case_));
+    res.status(201).json({ case: case_, workflowState });
   } catch (error) {
     next(error);
   }
@@ -62,11 +211,20 @@ export async function createCase(req, res, next) {
 
 export async function updateCase(req, res, next) {
   try {
-    const case_ = await prisma.case.update({
-      where: { id: req.params.id },
-      data: req.body,
+    const current = await findAccessibleCase(req.params.id, req.tenantId);
+    const updatedBy = req.headers['x-user-id'] || null;
+    const { case: case_, changes } = await updateCaseWithHistory(
+      req.params.id,
+      caseUpdateData(req.body ?? {}, current),
+      { tenantId: req.tenantId, actorId: updatedBy, ifMatch: req.headers['if-match'] }
+    );
+    await eventBus.publish('case.updated', {
+      caseId: case_.id,
+      tenantId: case_.tenantId,
+      updatedBy,
+      changes,
     });
-    await eventBus.publish('case.updated', { caseId: case_.id });
+    res.set('ETag', entityTag(case_));
     res.json({ case: case_ });
   } catch (error) {
     next(error);
@@ -75,6 +233,7 @@ export async function updateCase(req, res, next) {
 
 export async function deleteCase(req, res, next) {
   try {
+    await findAccessibleCase(req.params.id, req.tenantId, { ownerOnly: true });
     await prisma.case.update({
       where: { id: req.params.id },
       data: { deletedAt: new Date() },
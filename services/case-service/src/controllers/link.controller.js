@@ -0,0 +1,57 @@
+import { UnauthorizedError } from '../../../shared/common/errors.js';
+import EventBus from '../../../shared/utils/eventBus.js';
+import { addLink, listLinks, mergeCase, removeLink } from '../services/link.service.js';
+
+const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
+
+function linkActor(req) {
+  const actorId = req.headers['x-user-id'];
+  if (!actorId) throw new UnauthorizedError('User context is required');
+  return { tenantId: req.tenantId, actorId };
+}
+
+async function publishEvents(events) {
+  for (const event of events) {
+    await eventBus.publish(event.type, event.data);
+  }
+}
+
+export async function getCaseLinks(req, res, next) {
+  try {
+    const links = await listLinks(req.params.id, req.tenantId);
+    res.json({ links });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function createCaseLink(req, res, next) {
+  try {
+    const { link, events } = await addLink(req.params.id, req.body ?? {}, linkActor(req));
+    await publishEvents(events);
+    res.status(201).json({ link });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function deleteCaseLink(req, res, next) {
+  try {
+    const { events } = await removeLink(req.params.id, req.params.linkId, linkActor(req));
+    await publishEvents(events);
+    res.json({ message: 'Link removed' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function mergeDuplicateCase(req, res, next) {
+  try {
+    const request = req.body ?? {};
+    const { case: case_, moved, events } = await mergeCase(req.params.id, request, linkActor(req));
+    await publishEvents(events);
+    res.json({ case: case_, mergedCaseId: req.params.id, moved });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,76 @@
+import { UnauthorizedError } from '../../../shared/common/errors.js';
+import EventBus from '../../../shared/utils/eventBus.js';
+import {
+  addNote,
+  deleteNote,
+  editNote,
+  listNoteRevisions,
+  listNotes,
+} from '../services/note.service.js';
+
+const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
+
+function noteActor(req) {
+  const actorId = req.headers['x-user-id'];
+  if (!actorId) throw new UnauthorizedError('User context is required');
+  return { tenantId: req.tenantId, actorId };
+}
+
+async function publishEvents(events) {
+  for (const event of events) {
+    await eventBus.publish(event.type, event.data);
+  }
+}
+
+export async function getCaseNotes(req, res, next) {
+  try {
+    const notes = await listNotes(req.params.id, req.tenantId);
+    res.json({ notes });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function createCaseNote(req, res, next) {
+  try {
+    const { note, events } = await addNote(req.params.id, req.body ?? {}, noteActor(req));
+    await publishEvents(events);
+    res.status(201).json({ note });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function updateCaseNote(req, res, next) {
+  try {
+    const { note, events } = await editNote(
+      req.params.id,
+      req.params.noteId,
+      req.body ?? {},
+      noteActor(req)
+    );
+    await publishEvents(events);
+    res.json({ note });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function deleteCaseNote(req, res, next) {
+  try {
+    const { events } = await deleteNote(req.params.id, req.params.noteId, noteActor(req));
+    await publishEvents(events);
+    res.json({ message: 'Note deleted' });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getCaseNoteRevisions(req, res, next) {
+  try {
+    const result = await listNoteRevisions(req.params.id, req.params.noteId, req.tenantId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Tenant Middleware
+ * Takes the caller's tenant from the x-tenant-id header the API gateway sets
+ * from the authenticated user. Client-supplied tenantId values in queries
+ * and bodies never widen access beyond it.
+ */
+
+import { UnauthorizedError } from '../../../shared/common/errors.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function requireTenant(req, res, next) {
+  const tenantId = req.headers['x-tenant-id'];
+  if (!tenantId || !UUID_PATTERN.test(tenantId)) {
+    next(new UnauthorizedError('Tenant context is required'));
+    return;
+  }
+  req.tenantId = tenantId;
+  next();
+}
+
+export default requireTenant;
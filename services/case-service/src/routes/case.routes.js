@@ -1,13 +1,61 @@
 import express from 'express';
-import { getCases, getCase, createCase, updateCase, deleteCase } from '../controllers/case.controller.js';
+import {
+  getCases,
+  searchCaseRecords,
+  getCase,
+  getCaseTimeline,
+  getCaseHistory,
+  findDuplicateCases,
+  createCase,
+  updateCase,
+  deleteCase,
+} from '../controllers/case.controller.js';
+import {
+  getCaseNotes,
+  createCaseNote,
+  updateCaseNote,
+  deleteCaseNote,
+  getCaseNoteRevisions,
+} from '../controllers/note.controller.js';
+import {
+  runBulkCaseOperation,
+  runBulkCaseAssign,
+  runBulkCaseDelete,
+  getBulkCaseJob,
+} from '../controllers/bulk.controller.js';
+import {
+  getCaseLinks,
+  createCaseLink,
+  deleteCaseLink,
+  mergeDuplicateCase,
+} from '../controllers/link.controller.js';
 
 const router = express.Router();
 
 router.get('/', getCases);
+router.get('/search', searchCaseRecords);
+router.post('/bulk', runBulkCaseOperation);
+router.post('/bulk/assign', runBulkCaseAssign);
+router.post('/bulk/delete', runBulkCaseDelete);
+router.get('/bulk/:jobId', getBulkCaseJob);
+router.post('/duplicates', findDuplicateCases);
 router.get('/:id', getCase);
+router.get('/:id/timeline', getCaseTimeline);
+router.get('/:id/history', getCaseHistory);
 router.post('/', createCase);
 router.put('/:id', updateCase);
 router.delete('/:id', deleteCase);
 
+router.get('/:id/notes', getCaseNotes);
+router.post('/:id/notes', createCaseNote);
+router.put('/:id/notes/:noteId', updateCaseNote);
+router.delete('/:id/notes/:noteId', deleteCaseNote);
+router.get('/:id/notes/:noteId/revisions', getCaseNoteRevisions);
+
+router.get('/:id/links', getCaseLinks);
+router.post('/:id/links', createCaseLink);
+router.delete('/:id/links/:linkId', deleteCaseLink);
+router.post('/:id/merge', mergeDuplicateCase);
+
 export default router;
 
@@ -4,6 +4,8 @@ import { errorHandler } from '../../../shared/middleware/errorHandler.js';
 import caseRoutes from './routes/case.routes.js';
 import assignmentRoutes from './routes/assignment.routes.js';
 import attachmentRoutes from './routes/attachment.routes.js';
+import { requireTenant } from './middleware/tenant.middleware.js';
+import { startBulkJobWorker } from './services/bulk.service.js';
 import Logger from '../../../shared/common/logger.js';
 
 dotenv.config();
@@ -18,14 +20,20 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'case-service', timestamp: new Date().toISOString() });
 });
 
-app.use('/cases', caseRoutes);
-app.use('/assignments', assignmentRoutes);
-app.use('/attachments', attachmentRoutes);
+app.use('/cases', requireTenant, caseRoutes);
+app.use('/assignments', requireTenant, assignmentRoutes);
+app.use('/attachments', requireTenant, attachmentRoutes);
 
 app.use(errorHandler);
 
 app.listen(PORT, () => {
   logger.info(`Case Service running on port ${PORT}`);
+
+  if (process.env.BULK_JOBS_ENABLED !== 'false') {
+    startBulkJobWorker({
+      intervalMs: Number(process.env.BULK_JOB_POLL_MS) || 5000,
+    });
+  }
 });
 
 export default app;
@@ -0,0 +1,36 @@
+/**
+ * Case Access
+ * Which cases a tenant may read and change
+ *
+ * A tenant has access to the cases it owns and to cases referred to it once
+ * the referral is accepted. Only the owning tenant may delete a case.
+ * Cases outside a tenant's access are reported as not found, so their
+ * existence is not revealed.
+ */
+
+import prisma from '../config/database.js';
+import { NotFoundError } from '../../../shared/common/errors.js';
+
+/**
+ * Prisma where clause matching the cases a tenant has access to
+ */
+export function caseAccessWhere(tenantId) {
+  return {
+    OR: [{ tenantId }, { referrals: { some: { toTenantId: tenantId, status: 'accepted' } } }],
+  };
+}
+
+/**
+ * Load a case the tenant has access to, or throw NotFoundError.
+ * ownerOnly limits access to the owning tenant. Soft-deleted cases are not found.
+ */
+export async function findAccessibleCase(id, tenantId, { include, ownerOnly = false } = {}) {
+  const case_ = await prisma.case.findFirst({
+    where: {
+      AND: [{ id, deletedAt: null }, ownerOnly ? { tenantId } : caseAccessWhere(tenantId)],
+    },
+    include,
+  });
+  if (!case_) throw new NotFoundError('Case');
+  return case_;
+}
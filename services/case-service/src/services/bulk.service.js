@@ -0,0 +1,463 @@
+/**
+ * Bulk Case Operations
+ * Applies one operation to many cases, either all at once in a transaction or
+ * as a background job that records a result per case
+ *
+ * Operations and their params:
+ *   assign       { assignedTo }   replace the active assignment with this user
+ *   setPriority  { priority }     low, normal, high or urgent
+ *   setStatus    { status }       one of CASE_STATUSES, only for cases
+ *                                 without a workflow; a workflow moves its
+ *                                 cases through transitions
+ *   addTag       { tag }
+ *   delete       {}               soft-delete; only cases the tenant owns
+ *
+ * assign and delete need more than the cases:update permission the gateway
+ * asks for on POST /cases/bulk, so they run through their own routes
+ * (POST /cases/bulk/assign and /cases/bulk/delete).
+ *
+ * Cases are given as ids or as a filter in the case listing's query
+ * parameters (e.g. { status: 'open', assignedTo: '<user id>' }), up to 1000.
+ * In the default 'transaction' mode (up to 100 cases) every change applies or
+ * none does. The 'job' mode queues a case_bulk_jobs row that the worker
+ * processes case by case; one failing case does not stop the others.
+ *
+ * Job lifecycle: queued -> running -> completed | failed (the job itself
+ * failed, not one of its cases)
+ *
+ * Each result is { caseId, status: 'succeeded' | 'skipped' | 'failed' } with
+ * the field changes, the reason a case was skipped or the error it failed with.
+ */
+
+import prisma from '../config/database.js';
+import {
+  AppError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import EventBus from '../../../shared/utils/eventBus.js';
+import Logger from '../../../shared/common/logger.js';
+import { caseAccessWhere } from './access.service.js';
+import { validateCaseFields } from './fields.service.js';
+import { applyCaseUpdate } from './history.service.js';
+import { buildCaseFilter } from './listing.service.js';
+
+const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
+const logger = new Logger('case-service');
+
+export const BULK_MODES = ['transaction', 'job'];
+
+const MAX_CASES = 1000;
+const MAX_TRANSACTION_CASES = 100;
+const TRANSACTION_TIMEOUT_MS = 60 * 1000;
+// Job results are saved after this many cases, so progress can be followed
+const PROGRESS_INTERVAL = 25;
+// A job left 'running' this long without progress was claimed by an instance that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function requireString(params, name) {
+  const value = params[name];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`params.${name} is required`);
+  }
+  return value.trim();
+}
+
+function skipped(reason) {
+  return { status: 'skipped', reason, events: [] };
+}
+
+function caseUpdatedEvent(case_, changes, { actorId }) {
+  return {
+    type: 'case.updated',
+    data: { caseId: case_.id, tenantId: case_.tenantId, updatedBy: actorId, changes },
+  };
+}
+
+async function updateFields(tx, case_, data, context) {
+  const { case: updated, changes } = await applyCaseUpdate(tx, case_.id, data, context);
+  return { status: 'succeeded', changes, events: [caseUpdatedEvent(updated, changes, context)] };
+}
+
+function setField(tx, case_, field, value, context) {
+  if (case_[field] === value) return skipped(`${field} is already ${value}`);
+  return updateFields(tx, case_, { [field]: value }, context);
+}
+
+const OPERATIONS = {
+  assign: {
+    ownRoute: true,
+    async validate(params, { tenantId }) {
+      const assignedTo = requireString(params, 'assignedTo');
+      const user = UUID_PATTERN.test(assignedTo)
+        ? await prisma.user.findFirst({ where: { id: assignedTo, tenantId } })
+        : null;
+      if (!user) throw new ValidationError(`User ${assignedTo} does not exist in this tenant`);
+      return { assignedTo };
+    },
+    async apply(tx, case_, { assignedTo }, context) {
+      if (case_.assignedTo === assignedTo) return skipped('Already assigned to this user');
+
+      await tx.assignment.updateMany({
+        where: { caseId: case_.id, isActive: true },
+        data: { isActive: false, unassignedAt: new Date() },
+      });
+      await tx.assignment.create({
+        data: {
+          caseId: case_.id,
+          assignedTo,
+          assignedBy: context.actorId,
+          assignmentType: 'bulk',
+        },
+      });
+      const result = await updateFields(tx, case_, { assignedTo }, context);
+      return {
+        ...result,
+        events: [
+          { type: 'case.assigned', data: { caseId: case_.id, assignedTo } },
+          ...result.events,
+        ],
+      };
+    },
+  },
+
+  setPriority: {
+    validate(params) {
+      if (params.priority === undefined) throw new ValidationError('params.priority is required');
+      validateCaseFields({ priority: params.priority }, {}, 'params.');
+      return { priority: params.priority };
+    },
+    apply: (tx, case_, { priority }, context) => setField(tx, case_, 'priority', priority, context),
+  },
+
+  setStatus: {
+    // The statuses a case update accepts
+    validate(params) {
+      if (params.status === undefined) throw new ValidationError('params.status is required');
+      validateCaseFields({ status: params.status }, {}, 'params.');
+      return { status: params.status };
+    },
+    apply(tx, case_, { status }, context) {
+      if (case_.workflowId) {
+        throw new ValidationError(
+          'The status of a case on a workflow changes through its transitions'
+        );
+      }
+      return setField(tx, case_, 'status', status, context);
+    },
+  },
+
+  addTag: {
+    validate: params => ({ tag: requireString(params, 'tag') }),
+    async apply(tx, case_, { tag }, context) {
+      if (case_.tags.includes(tag)) return skipped(`Already tagged '${tag}'`);
+      return updateFields(tx, case_, { tags: [...case_.tags, tag] }, context);
+    },
+  },
+
+  delete: {
+    ownRoute: true,
+    validate: () => ({}),
+    async apply(tx, case_, params, { tenantId }) {
+      // Cases referred to the tenant are not its to delete
+      if (case_.tenantId !== tenantId) throw new NotFoundError('Case');
+      await tx.case.update({ where: { id: case_.id }, data: { deletedAt: new Date() } });
+      return { status: 'succeeded', events: [] };
+    },
+  },
+};
+
+/**
+ * Apply the operation to one case, which is locked for the rest of the transaction
+ */
+async function runItem(tx, caseId, operation, params, context) {
+  await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+  const case_ = await tx.case.findFirst({
+    where: { AND: [{ id: caseId, deletedAt: null }, caseAccessWhere(context.tenantId)] },
+  });
+  if (!case_) throw new NotFoundError('Case');
+  return OPERATIONS[operation].apply(tx, case_, params, context);
+}
+
+function itemResult(caseId, { status, changes, reason }) {
+  return { caseId, status, ...(changes && { changes }), ...(reason && { reason }) };
+}
+
+function itemFailure(caseId, error) {
+  return { caseId, status: 'failed', error: { code: error.code, message: error.message } };
+}
+
+function summarize(results) {
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    total: results.length,
+    succeeded: count('succeeded'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+  };
+}
+
+async function publishEvents(events) {
+  for (const event of events) {
+    await eventBus.publish(event.type, event.data);
+  }
+}
+
+/**
+ * List the ids of the cases a request targets. Explicit ids are checked case
+ * by case when the operation runs; a filter only matches accessible cases.
+ */
+async function resolveCaseIds({ ids, filter }, tenantId) {
+  if ((ids === undefined) === (filter === undefined)) {
+    throw new ValidationError('Give either ids or filter');
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => UUID_PATTERN.test(id))) {
+      throw new ValidationError('ids must be a non-empty list of case ids');
+    }
+    if (ids.length > MAX_CASES) {
+      throw new ValidationError(`ids can list at most ${MAX_CASES} cases`);
+    }
+    return [...new Set(ids.map(id => id.toLowerCase()))];
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ValidationError('filter must be an object of case listing filters');
+  }
+  const cases = await prisma.case.findMany({
+    where: { AND: [caseAccessWhere(tenantId), buildCaseFilter(filter)] },
+    select: { id: true },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take: MAX_CASES + 1,
+  });
+  if (cases.length > MAX_CASES) {
+    throw new ValidationError(`filter matches more than ${MAX_CASES} cases; narrow it down`);
+  }
+  return cases.map(case_ => case_.id);
+}
+
+async function runInTransaction(caseIds, operation, params, context) {
+  const { outcomes, results } = await prisma.$transaction(
+    async tx => {
+      const outcomes = [];
+      const failures = [];
+      for (const caseId of caseIds) {
+        try {
+          outcomes.push({ caseId, ...(await runItem(tx, caseId, operation, params, context)) });
+        } catch (error) {
+          if (!(error instanceof AppError)) throw error;
+          failures.push(itemFailure(caseId, error));
+        }
+      }
+      if (failures.length > 0) {
+        throw new ValidationError(
+          `The operation failed for ${failures.length} case(s); no cases were changed`,
+          failures.map(({ caseId, error }) => ({ ...error, caseId }))
+        );
+      }
+      return { outcomes, results: outcomes.map(outcome => itemResult(outcome.caseId, outcome)) };
+    },
+    { timeout: TRANSACTION_TIMEOUT_MS }
+  );
+
+  await publishEvents(outcomes.flatMap(outcome => outcome.events));
+  return results;
+}
+
+/**
+ * Run a bulk operation. route names the operation of the route it came
+ * through, if that route has one.
+ * Returns { results, summary } in transaction mode and { job } in job mode.
+ */
+export async function runBulkOperation(request, { tenantId, actorId }, route = null) {
+  if (!actorId) throw new UnauthorizedError('User context is required');
+  const { params = {}, mode = 'transaction' } = request;
+  const operation = route || request.operation;
+  if (!Object.hasOwn(OPERATIONS, operation)) {
+    throw new ValidationError(`operation must be one of ${Object.keys(OPERATIONS).join(', ')}`);
+  }
+  if (OPERATIONS[operation].ownRoute && operation !== route) {
+    throw new ValidationError(`Run ${operation} through POST /cases/bulk/${operation}`);
+  }
+  if (!BULK_MODES.includes(mode)) {
+    throw new ValidationError(`mode must be one of ${BULK_MODES.join(', ')}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new ValidationError('params must be an object');
+  }
+
+  const context = { tenantId, actorId };
+  const validParams = await OPERATIONS[operation].validate(params, context);
+  const caseIds = await resolveCaseIds(request, tenantId);
+
+  if (mode === 'job') {
+    const job = await prisma.caseBulkJob.create({
+      data: {
+        tenantId,
+        operation,
+        params: validParams,
+        caseIds,
+        total: caseIds.length,
+        createdBy: actorId,
+      },
+    });
+    return { job };
+  }
+
+  if (caseIds.length > MAX_TRANSACTION_CASES) {
+    throw new ValidationError(
+      `A transaction can change at most ${MAX_TRANSACTION_CASES} cases; use mode 'job'`
+    );
+  }
+  const results = await runInTransaction(caseIds, operation, validParams, context);
+  return { results, summary: summarize(results) };
+}
+
+/**
+ * Get a bulk job of the tenant
+ */
+export async function getBulkJob(jobId, tenantId) {
+  const job = UUID_PATTERN.test(jobId)
+    ? await prisma.caseBulkJob.findFirst({ where: { id: jobId, tenantId } })
+    : null;
+  if (!job) throw new NotFoundError('Bulk job');
+  return job;
+}
+
+/**
+ * Take a job for this instance. The update only matches while the job is
+ * still in the state it was read in, so two instances never run the same job.
+ */
+async function claimJob(job, now) {
+  const { count } = await prisma.caseBulkJob.updateMany({
+    where: { id: job.id, status: job.status, lockedAt: job.lockedAt },
+    data: { status: 'running', lockedAt: now, startedAt: job.startedAt || now },
+  });
+  return count === 1;
+}
+
+async function saveProgress(job, results, data = {}) {
+  const counts = summarize(results);
+  await prisma.caseBulkJob.update({
+    where: { id: job.id },
+    data: {
+      results,
+      succeeded: counts.succeeded,
+      skipped: counts.skipped,
+      failed: counts.failed,
+      lockedAt: new Date(),
+      ...data,
+    },
+  });
+}
+
+/**
+ * Run a claimed job case by case. Cases that already have a result (from an
+ * earlier, interrupted run) are not repeated.
+ */
+async function runJob(job) {
+  const context = { tenantId: job.tenantId, actorId: job.createdBy };
+  const results = [...job.results];
+  const done = new Set(results.map(result => result.caseId));
+
+  for (const caseId of job.caseIds.filter(id => !done.has(id))) {
+    try {
+      const outcome = await prisma.$transaction(tx =>
+        runItem(tx, caseId, job.operation, job.params, context)
+      );
+      await publishEvents(outcome.events);
+      results.push(itemResult(caseId, outcome));
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        logger.error('Bulk job case failed', { jobId: job.id, caseId, error: error.message });
+      }
+      results.push(itemFailure(caseId, error));
+    }
+    if (results.length % PROGRESS_INTERVAL === 0) await saveProgress(job, results);
+  }
+
+  await saveProgress(job, results, {
+    status: 'completed',
+    lockedAt: null,
+    completedAt: new Date(),
+  });
+  await eventBus.publish('case.bulk.completed', {
+    jobId: job.id,
+    tenantId: job.tenantId,
+    operation: job.operation,
+    ...summarize(results),
+  });
+}
+
+/**
+ * Mark a job this instance claimed as failed, keeping the results it saved.
+ * Should that fail too, the claim goes stale and the job is run again.
+ */
+async function failJob(job, now) {
+  try {
+    await prisma.caseBulkJob.updateMany({
+      where: { id: job.id, status: 'running', lockedAt: { gte: now } },
+      data: { status: 'failed', lockedAt: null, completedAt: new Date() },
+    });
+  } catch (error) {
+    logger.error('Bulk job could not be marked failed', { jobId: job.id, error: error.message });
+  }
+}
+
+/**
+ * Run the queued jobs, including jobs whose claim went stale.
+ * Returns the number of jobs this instance ran.
+ */
+export async function runQueuedJobs(now = new Date()) {
+  const jobs = await prisma.caseBulkJob.findMany({
+    where: {
+      OR: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  let processed = 0;
+  for (const job of jobs) {
+    if (!(await claimJob(job, now))) continue;
+    try {
+      await runJob(job);
+    } catch (error) {
+      logger.error('Bulk job failed', { jobId: job.id, error: error.message });
+      await failJob(job, now);
+    }
+    processed += 1;
+  }
+  return processed;
+}
+
+/**
+ * Poll for queued bulk jobs until the returned stop function is called
+ */
+export function startBulkJobWorker({ intervalMs = 5000 } = {}) {
+  let handle = null;
+  let stopped = false;
+
+  const poll = async () => {
+    try {
+      const processed = await runQueuedJobs();
+      if (processed > 0) logger.info(`Ran ${processed} bulk case job(s)`);
+    } catch (error) {
+      logger.error('Bulk job poll failed', { error: error.message });
+    }
+    if (!stopped) handle = setTimeout(poll, intervalMs);
+  };
+
+  handle = setTimeout(poll, 0);
+
+  return () => {
+    stopped = true;
+    clearTimeout(handle);
+  };
+}
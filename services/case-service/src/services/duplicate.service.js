@@ -0,0 +1,198 @@
+/**
+ * Duplicate Case Detection
+ * Finds existing cases that a case about to be created likely duplicates
+ *
+ * Candidates come from the tenant's own cases and from the cases of the
+ * tenants it has exchanged referrals with. A candidate scores:
+ *   0.5                  when a subject identifier in metadata (e.g. nationalId)
+ *                        equals the new case's, ignoring case, spaces and punctuation
+ *   0.4 x similarity     of the titles (pg_trgm trigrams, 0 to 1)
+ *   0.1 x recency        1 for a case created just now, falling to 0 at the
+ *                        end of the creation window
+ * Cases matching on the title alone are only considered inside the creation
+ * window. Candidates scoring at least minScore are returned, best first.
+ *
+ * Settings live in Tenant.config.duplicateDetection:
+ * {
+ *   enabled: true,
+ *   identifierFields: ['nationalId', 'subject.nationalId'],
+ *   windowDays: 30,
+ *   minScore: 0.4,
+ * }
+ *
+ * Candidates the tenant has no access to only show their case number, owning
+ * tenant and creation date, enough to ask that tenant for a referral.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { caseAccessWhere } from './access.service.js';
+
+const DEFAULT_IDENTIFIER_FIELDS = ['nationalId', 'subject.nationalId'];
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_MIN_SCORE = 0.4;
+
+const WEIGHTS = { identifier: 0.5, title: 0.4, recency: 0.1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Best title matches scored per check, and candidates returned
+const MAX_MATCHES = 50;
+const MAX_CANDIDATES = 10;
+
+/**
+ * Read the duplicate detection settings from a tenant's config
+ */
+export function getDuplicateDetectionConfig(tenantConfig) {
+  const detection = tenantConfig?.duplicateDetection || {};
+  return {
+    enabled: detection.enabled !== false,
+    identifierFields: Array.isArray(detection.identifierFields)
+      ? detection.identifierFields
+      : DEFAULT_IDENTIFIER_FIELDS,
+    windowDays: detection.windowDays ?? DEFAULT_WINDOW_DAYS,
+    minScore: detection.minScore ?? DEFAULT_MIN_SCORE,
+  };
+}
+
+function normalizeIdentifier(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const normalized = String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  return normalized || null;
+}
+
+/**
+ * The identifiers the new case carries, as [{ field, path, value }]
+ */
+function subjectIdentifiers(metadata, fields) {
+  return fields.flatMap(field => {
+    const path = field.split('.');
+    const value = normalizeIdentifier(path.reduce((node, key) => node?.[key], metadata));
+    return value ? [{ field, path, value }] : [];
+  });
+}
+
+function identifierEquals({ path, value }) {
+  return Prisma.sql`regexp_replace(lower(c.metadata #>> ${path}::text[]), '[^a-z0-9]', '', 'g') = ${value}`;
+}
+
+// The identifier's field name when the case carries it, else NULL
+function matchedField(identifier) {
+  return Prisma.sql`CASE WHEN ${identifierEquals(identifier)} THEN ${identifier.field}::text END`;
+}
+
+/**
+ * SQL condition on cases c owned by the tenant or by a tenant it has
+ * referred cases to or received cases from
+ */
+function relatedTenants(tenantId) {
+  return Prisma.sql`(
+    c.tenant_id = ${tenantId}::uuid
+    OR c.tenant_id IN (
+      SELECT r.to_tenant_id FROM case_referrals r WHERE r.from_tenant_id = ${tenantId}::uuid
+      UNION
+      SELECT r.from_tenant_id FROM case_referrals r WHERE r.to_tenant_id = ${tenantId}::uuid
+    )
+  )`;
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * List the existing cases a new case likely duplicates.
+ * data holds the fields of the new case; only title and metadata are read.
+ * Returns [{ case, accessible, score, reasons: { identifiers, titleSimilarity, withinWindow } }]
+ */
+export async function findDuplicateCandidates(data, tenantId, now = new Date()) {
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  const config = getDuplicateDetectionConfig(tenant?.config);
+  if (!config.enabled) return [];
+
+  const identifiers = subjectIdentifiers(data.metadata, config.identifierFields);
+  if (!title && identifiers.length === 0) return [];
+
+  const windowMs = config.windowDays * DAY_MS;
+  const windowStart = new Date(now.getTime() - windowMs);
+  const matchedIdentifiers = identifiers.length
+    ? Prisma.sql`array_remove(ARRAY[${Prisma.join(identifiers.map(matchedField))}], NULL)`
+    : Prisma.sql`ARRAY[]::text[]`;
+  const identifierMatch = identifiers.length
+    ? Prisma.join(identifiers.map(identifierEquals), ' OR ')
+    : Prisma.sql`FALSE`;
+
+  // c.title % title is pg_trgm's similarity above its threshold (0.3), served by the trigram index
+  const matches = await prisma.$queryRaw`
+    SELECT
+      c.id,
+      c.created_at AS "createdAt",
+      similarity(c.title, ${title}) AS "titleSimilarity",
+      ${matchedIdentifiers} AS "identifiers"
+    FROM cases c
+    WHERE c.deleted_at IS NULL
+      AND ${relatedTenants(tenantId)}
+      AND (
+        (${identifierMatch})
+        OR (${title} <> '' AND c.title % ${title} AND c.created_at >= ${windowStart})
+      )
+    ORDER BY (${identifierMatch}) DESC, "titleSimilarity" DESC, c.created_at DESC
+    LIMIT ${MAX_MATCHES}`;
+
+  const scored = matches
+    .map(match => {
+      const age = now.getTime() - new Date(match.createdAt).getTime();
+      const recency = windowMs > 0 ? Math.min(1, Math.max(0, 1 - age / windowMs)) : 0;
+      const titleSimilarity = round(Number(match.titleSimilarity) || 0);
+      return {
+        id: match.id,
+        score: round(
+          (match.identifiers.length > 0 ? WEIGHTS.identifier : 0) +
+            WEIGHTS.title * titleSimilarity +
+            WEIGHTS.recency * recency
+        ),
+        reasons: {
+          identifiers: match.identifiers,
+          titleSimilarity,
+          withinWindow: age <= windowMs,
+        },
+      };
+    })
+    .filter(match => match.score >= config.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+  if (scored.length === 0) return [];
+
+  const ids = scored.map(match => match.id);
+  const cases = await prisma.case.findMany({
+    where: { id: { in: ids } },
+    include: { tenant: { select: { id: true, name: true } } },
+  });
+  const accessible = await prisma.case.findMany({
+    where: { AND: [{ id: { in: ids } }, caseAccessWhere(tenantId)] },
+    select: { id: true },
+  });
+  const byId = new Map(cases.map(case_ => [case_.id, case_]));
+  const readable = new Set(accessible.map(case_ => case_.id));
+
+  return scored
+    .filter(match => byId.has(match.id))
+    .map(({ id, score, reasons }) => {
+      const case_ = byId.get(id);
+      const summary = {
+        id,
+        caseNumber: case_.caseNumber,
+        tenant: case_.tenant,
+        createdAt: case_.createdAt,
+      };
+      return {
+        case: readable.has(id)
+          ? { ...summary, title: case_.title, type: case_.type, status: case_.status }
+          : summary,
+        accessible: readable.has(id),
+        score,
+        reasons,
+      };
+    });
+}
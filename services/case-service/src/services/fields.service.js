@@ -0,0 +1,30 @@
+/**
+ * Case Fields
+ * The values clients may give the case fields that take one of a fixed set
+ *
+ * The status of a case on a workflow is the name of its workflow state and
+ * only changes through transitions; cases without a workflow move between
+ * CASE_STATUSES.
+ */
+
+import { ValidationError } from '../../../shared/common/errors.js';
+
+export const CASE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+export const CASE_STATUSES = ['open', 'in_progress', 'under_review', 'resolved', 'closed'];
+
+function checkValue(data, case_, field, allowed, prefix) {
+  if (data[field] === undefined || data[field] === case_[field]) return;
+  if (!allowed.includes(data[field])) {
+    throw new ValidationError(`${prefix}${field} must be one of ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Check the priority and status given to a case. Values the case already
+ * has are accepted as they are. prefix names where the fields came from in
+ * error messages (e.g. 'params.').
+ */
+export function validateCaseFields(data, case_ = {}, prefix = '') {
+  checkValue(data, case_, 'priority', CASE_PRIORITIES, prefix);
+  checkValue(data, case_, 'status', CASE_STATUSES, prefix);
+}
@@ -0,0 +1,320 @@
+/**
+ * Case Links
+ * Typed relationships between cases, and merging a duplicate into the case
+ * that survives it
+ *
+ * Link types, read from the case the link is added to:
+ *   duplicate-of   the case duplicates the other one
+ *   related-to     the cases concern the same people or events
+ *   parent-of      the other case is part of this one (child-of is the reverse)
+ *   caused-by      the case arose from the other one
+ *
+ * A link is stored once, from one case to the other; seen from the other
+ * case it reads as duplicated-by, child-of or cause-of. Both cases must be
+ * accessible to the tenant that links them. A case has at most one parent
+ * and cannot be the parent of its own ancestor.
+ *
+ * Merging moves the attachments, assignments, notes, workflow history and
+ * tasks of a duplicate to the surviving case and leaves the duplicate
+ * soft-deleted with merged_into_id set, so reading it redirects to the
+ * survivor. Both cases must belong to the merging tenant. The moved workflow
+ * states and tasks keep the duplicate's id in merged_from_case_id: they are
+ * history, and the survivor's current state and tasks are still read from
+ * its own rows. The duplicate's workflow ends with the merge, so its pending
+ * timers and open tasks are cancelled. The merge is recorded in the
+ * duplicate's case history and as a duplicate-of link.
+ */
+
+import prisma from '../config/database.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import { caseAccessWhere, findAccessibleCase } from './access.service.js';
+import { applyCaseUpdate } from './history.service.js';
+
+export const LINK_TYPES = ['duplicate-of', 'related-to', 'parent-of', 'child-of', 'caused-by'];
+
+// How a stored link reads from the case it points to
+const INVERSE_TYPES = {
+  'duplicate-of': 'duplicated-by',
+  'related-to': 'related-to',
+  'parent-of': 'child-of',
+  'caused-by': 'cause-of',
+};
+
+// Longest parent chain followed when checking for cycles
+const MAX_ANCESTORS = 100;
+
+function caseSummary(case_) {
+  return {
+    id: case_.id,
+    tenantId: case_.tenantId,
+    caseNumber: case_.caseNumber,
+    title: case_.title,
+    status: case_.status,
+    mergedIntoId: case_.mergedIntoId,
+  };
+}
+
+/**
+ * A link as seen from one of its cases, with a summary of the other case
+ */
+function presentLink(link, caseId, other) {
+  const outgoing = link.fromCaseId === caseId;
+  return {
+    id: link.id,
+    type: outgoing ? link.type : INVERSE_TYPES[link.type],
+    case: caseSummary(other),
+    tenantId: link.tenantId,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt,
+  };
+}
+
+function linkEventData(link) {
+  return {
+    linkId: link.id,
+    tenantId: link.tenantId,
+    fromCaseId: link.fromCaseId,
+    toCaseId: link.toCaseId,
+    type: link.type,
+  };
+}
+
+/**
+ * The stored form of a link added to caseId; child-of is kept as the parent's parent-of
+ */
+function storedLink(caseId, type, otherId) {
+  return type === 'child-of'
+    ? { fromCaseId: otherId, toCaseId: caseId, type: 'parent-of' }
+    : { fromCaseId: caseId, toCaseId: otherId, type };
+}
+
+async function assertLinkAllowed(client, { fromCaseId, toCaseId, type }) {
+  const existing = await client.caseLink.findFirst({
+    where: {
+      type,
+      OR: [
+        { fromCaseId, toCaseId },
+        { fromCaseId: toCaseId, toCaseId: fromCaseId },
+      ],
+    },
+  });
+  if (existing) {
+    throw new ConflictError(
+      existing.fromCaseId === fromCaseId || type === 'related-to'
+        ? `The cases are already linked as ${type}`
+        : `The other case is already linked to this one as ${type}`
+    );
+  }
+  if (type !== 'parent-of') return;
+
+  const parent = await client.caseLink.findFirst({ where: { toCaseId, type } });
+  if (parent) throw new ConflictError('The child case already has a parent case');
+
+  // Walk up from the new parent; meeting the child would close a cycle
+  let ancestorId = fromCaseId;
+  for (let depth = 0; ancestorId && depth < MAX_ANCESTORS; depth++) {
+    if (ancestorId === toCaseId) {
+      throw new ValidationError('A case cannot be the parent of its own ancestor');
+    }
+    const link = await client.caseLink.findFirst({ where: { toCaseId: ancestorId, type } });
+    ancestorId = link?.fromCaseId;
+  }
+}
+
+/**
+ * Lock cases for the rest of the transaction, in id order so that two
+ * transactions locking the same cases cannot deadlock
+ */
+async function lockCases(tx, ids) {
+  for (const id of [...ids].sort()) {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${id}::uuid FOR UPDATE`;
+  }
+}
+
+function requireCaseId(value, name) {
+  if (typeof value !== 'string' || !value) throw new ValidationError(`${name} is required`);
+  return value;
+}
+
+/**
+ * List the links of a case to the cases the tenant can see, oldest first.
+ * Cases merged into another one are still listed.
+ */
+export async function listLinks(caseId, tenantId) {
+  await findAccessibleCase(caseId, tenantId);
+  const links = await prisma.caseLink.findMany({
+    where: { OR: [{ fromCaseId: caseId }, { toCaseId: caseId }] },
+    orderBy: { createdAt: 'asc' },
+  });
+  const otherId = link => (link.fromCaseId === caseId ? link.toCaseId : link.fromCaseId);
+
+  const cases = await prisma.case.findMany({
+    where: {
+      AND: [
+        { id: { in: links.map(otherId) } },
+        caseAccessWhere(tenantId),
+        { OR: [{ deletedAt: null }, { mergedIntoId: { not: null } }] },
+      ],
+    },
+  });
+  const byId = new Map(cases.map(case_ => [case_.id, case_]));
+  return links
+    .filter(link => byId.has(otherId(link)))
+    .map(link => presentLink(link, caseId, byId.get(otherId(link))));
+}
+
+/**
+ * Link a case to another one.
+ * Returns { link, events }; the events are for the caller to publish.
+ */
+export async function addLink(caseId, { type, caseId: otherId }, { tenantId, actorId }) {
+  if (!LINK_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of ${LINK_TYPES.join(', ')}`);
+  }
+  requireCaseId(otherId, 'caseId');
+  if (otherId === caseId) throw new ValidationError('A case cannot be linked to itself');
+
+  await findAccessibleCase(caseId, tenantId);
+  const other = await findAccessibleCase(otherId, tenantId);
+
+  const data = storedLink(caseId, type, otherId);
+  let link;
+  try {
+    link = await prisma.$transaction(async tx => {
+      await lockCases(tx, [caseId, otherId]);
+      await assertLinkAllowed(tx, data);
+      return tx.caseLink.create({ data: { ...data, tenantId, createdBy: actorId } });
+    });
+  } catch (error) {
+    // The same link added concurrently
+    if (error.code === 'P2002') {
+      throw new ConflictError(`The cases are already linked as ${type}`);
+    }
+    throw error;
+  }
+  return {
+    link: presentLink(link, caseId, other),
+    events: [{ type: 'case.linked', data: { ...linkEventData(link), createdBy: actorId } }],
+  };
+}
+
+/**
+ * Remove a link of a case. Only the tenant that added a link may remove it.
+ * Returns { events }.
+ */
+export async function removeLink(caseId, linkId, { tenantId, actorId }) {
+  await findAccessibleCase(caseId, tenantId);
+  const link = await prisma.caseLink.findFirst({
+    where: { id: linkId, OR: [{ fromCaseId: caseId }, { toCaseId: caseId }] },
+  });
+  if (!link) throw new NotFoundError('Link');
+  if (link.tenantId !== tenantId) {
+    throw new ForbiddenError('Only the tenant that added a link can remove it');
+  }
+
+  await prisma.caseLink.delete({ where: { id: linkId } });
+  return {
+    events: [{ type: 'case.unlinked', data: { ...linkEventData(link), removedBy: actorId } }],
+  };
+}
+
+/**
+ * The case a merged duplicate now redirects to, if the tenant had access to
+ * the duplicate
+ */
+export async function findMergeTarget(caseId, tenantId) {
+  const case_ = await prisma.case.findFirst({
+    where: { AND: [{ id: caseId, mergedIntoId: { not: null } }, caseAccessWhere(tenantId)] },
+    select: { mergedIntoId: true },
+  });
+  return case_?.mergedIntoId ?? null;
+}
+
+/**
+ * Merge a duplicate case into the surviving case. Only the tenant that owns
+ * both cases may merge them.
+ * Returns { case, moved: { attachments, assignments, notes, workflowStates, tasks }, events }
+ */
+export async function mergeCase(duplicateId, { survivingCaseId }, { tenantId, actorId }) {
+  requireCaseId(survivingCaseId, 'survivingCaseId');
+  if (survivingCaseId === duplicateId) {
+    throw new ValidationError('A case cannot be merged into itself');
+  }
+  await findAccessibleCase(duplicateId, tenantId, { ownerOnly: true });
+  await findAccessibleCase(survivingCaseId, tenantId, { ownerOnly: true });
+
+  const moved = await prisma.$transaction(async tx => {
+    await lockCases(tx, [duplicateId, survivingCaseId]);
+    const live = await tx.case.count({
+      where: { id: { in: [duplicateId, survivingCaseId] }, deletedAt: null },
+    });
+    if (live !== 2) throw new ConflictError('One of the cases was deleted or merged meanwhile');
+
+    const now = new Date();
+    const move = { where: { caseId: duplicateId }, data: { caseId: survivingCaseId } };
+    // The survivor keeps its own assignee; the duplicate's assignments become history
+    await tx.assignment.updateMany({
+      where: { caseId: duplicateId, isActive: true },
+      data: { isActive: false, unassignedAt: now },
+    });
+    await tx.workflowTimer.updateMany({
+      where: { caseId: duplicateId, status: 'pending' },
+      data: { status: 'cancelled' },
+    });
+    await tx.caseTask.updateMany({
+      where: { caseId: duplicateId, status: { in: ['open', 'in_progress'] } },
+      data: { status: 'cancelled' },
+    });
+    // Rows the duplicate brought along from its own merges keep naming their case
+    const marked = { where: { caseId: duplicateId, mergedFromCaseId: null } };
+    await tx.workflowState.updateMany({ ...marked, data: { mergedFromCaseId: duplicateId } });
+    await tx.caseTask.updateMany({ ...marked, data: { mergedFromCaseId: duplicateId } });
+    const counts = {
+      attachments: (await tx.caseAttachment.updateMany(move)).count,
+      assignments: (await tx.assignment.updateMany(move)).count,
+      notes: (await tx.caseNote.updateMany(move)).count,
+      workflowStates: (await tx.workflowState.updateMany(move)).count,
+      tasks: (await tx.caseTask.updateMany(move)).count,
+    };
+
+    // Cases merged into the duplicate earlier now redirect to the survivor directly
+    await tx.case.updateMany({
+      where: { mergedIntoId: duplicateId },
+      data: { mergedIntoId: survivingCaseId },
+    });
+    const link = { fromCaseId: duplicateId, toCaseId: survivingCaseId, type: 'duplicate-of' };
+    if (!(await tx.caseLink.findFirst({ where: link }))) {
+      await tx.caseLink.create({ data: { ...link, tenantId, createdBy: actorId } });
+    }
+    await applyCaseUpdate(
+      tx,
+      duplicateId,
+      { mergedIntoId: survivingCaseId, mergedAt: now, mergedBy: actorId, deletedAt: now },
+      { tenantId, actorId }
+    );
+    return counts;
+  });
+
+  const survivor = await prisma.case.findUnique({ where: { id: survivingCaseId } });
+  return {
+    case: survivor,
+    moved,
+    events: [
+      {
+        type: 'case.merged',
+        data: {
+          caseId: survivingCaseId,
+          duplicateId,
+          tenantId,
+          mergedBy: actorId,
+          moved,
+        },
+      },
+    ],
+  };
+}
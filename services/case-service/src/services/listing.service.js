@@ -0,0 +1,264 @@
+/**
+ * Case Listing
+ * Filtered, sorted and cursor-paginated case lists
+ *
+ * Query parameters:
+ *   tenantId, status, type, priority, assignedTo, referralStatus
+ *                        exact match; comma-separated values match any of them
+ *   createdFrom, createdTo, dueFrom, dueTo
+ *                        ISO dates bounding createdAt / dueDate (inclusive)
+ *   overdue=true         past their due date and not resolved
+ *   unassigned=true      without an assignee
+ *   tag                  cases carrying the tag; comma-separated tags must all be present
+ *   metadata.<path>=<v>  metadata value at a dotted path equals v
+ *   sort                 comma-separated fields, '-' for descending
+ *                        (default -createdAt); cases without a value sort last
+ *   limit                page size, 1-100 (default 25)
+ *   cursor               nextCursor of the previous page
+ *   includeTotal=true    also count every matching case
+ *
+ * Only cases the caller's tenant has access to are listed; tenantId narrows
+ * them to the ones a given tenant owns.
+ *
+ * Pages are read with keyset pagination over the sort fields and the case id,
+ * so a cursor stays valid while cases are added or changed.
+ */
+
+import prisma from '../config/database.js';
+import { ValidationError } from '../../../shared/common/errors.js';
+import { caseAccessWhere } from './access.service.js';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = '-createdAt';
+
+// Sortable fields, with whether they can be null
+const SORT_FIELDS = {
+  createdAt: { date: true, nullable: false },
+  updatedAt: { date: true, nullable: false },
+  dueDate: { date: true, nullable: true },
+  resolvedAt: { date: true, nullable: true },
+  caseNumber: { date: false, nullable: false },
+  title: { date: false, nullable: false },
+  type: { date: false, nullable: false },
+  status: { date: false, nullable: false },
+};
+
+const LIST_FILTERS = ['tenantId', 'status', 'type', 'priority', 'assignedTo', 'referralStatus'];
+// Filters on uuid columns, whose values must be uuids
+const UUID_FILTERS = ['tenantId', 'assignedTo'];
+const METADATA_PREFIX = 'metadata.';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseList(value) {
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined) return false;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new ValidationError(`${name} must be true or false`);
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+function dateRange(query, fromName, toName) {
+  const from = parseDate(query[fromName], fromName);
+  const to = parseDate(query[toName], toName);
+  if (from && to && from > to) {
+    throw new ValidationError(`${fromName} must be before ${toName}`);
+  }
+  if (!from && !to) return null;
+  return { ...(from && { gte: from }), ...(to && { lte: to }) };
+}
+
+/**
+ * Build the Prisma where clause of a case listing from its query string
+ */
+export function buildCaseFilter(query = {}, now = new Date()) {
+  const conditions = [{ deletedAt: null }];
+
+  for (const field of LIST_FILTERS) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const values = parseList(query[field]);
+    if (UUID_FILTERS.includes(field) && !values.every(value => UUID_PATTERN.test(value))) {
+      throw new ValidationError(`${field} must be a uuid or comma-separated uuids`);
+    }
+    conditions.push({ [field]: values.length === 1 ? values[0] : { in: values } });
+  }
+
+  if (query.tag) conditions.push({ tags: { hasEvery: parseList(query.tag) } });
+
+  const createdAt = dateRange(query, 'createdFrom', 'createdTo');
+  if (createdAt) conditions.push({ createdAt });
+  const dueDate = dateRange(query, 'dueFrom', 'dueTo');
+  if (dueDate) conditions.push({ dueDate });
+
+  if (parseBoolean(query.overdue, 'overdue')) {
+    conditions.push({ dueDate: { lt: now }, resolvedAt: null });
+  }
+  if (parseBoolean(query.unassigned, 'unassigned')) {
+    if (query.assignedTo) {
+      throw new ValidationError('unassigned cannot be combined with assignedTo');
+    }
+    conditions.push({ assignedTo: null });
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith(METADATA_PREFIX)) continue;
+    const path = key.slice(METADATA_PREFIX.length).split('.');
+    if (path.some(segment => !segment)) {
+      throw new ValidationError(`${key} is not a valid metadata path`);
+    }
+    conditions.push({ metadata: { path, equals: value } });
+  }
+
+  return { AND: conditions };
+}
+
+/**
+ * Read a sort parameter such as '-dueDate,caseNumber' into [{ field, direction }]
+ */
+export function parseSort(value = DEFAULT_SORT) {
+  const sort = parseList(value || DEFAULT_SORT).map(item => {
+    const field = item.replace(/^[-+]/, '');
+    if (!Object.hasOwn(SORT_FIELDS, field)) {
+      throw new ValidationError(
+        `Cannot sort by '${field}'; sortable fields are ${Object.keys(SORT_FIELDS).join(', ')}`
+      );
+    }
+    return { field, direction: item.startsWith('-') ? 'desc' : 'asc' };
+  });
+
+  const fields = sort.map(key => key.field);
+  if (new Set(fields).size !== fields.length) {
+    throw new ValidationError('sort lists a field more than once');
+  }
+  return sort;
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function sortSignature(sort) {
+  return sort.map(key => `${key.direction === 'desc' ? '-' : ''}${key.field}`).join(',');
+}
+
+function encodeCursor(sort, case_) {
+  const values = sort.map(key => case_[key.field] ?? null);
+  const cursor = { sort: sortSignature(sort), values, id: case_.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('cursor is not valid');
+  }
+  if (
+    !decoded ||
+    decoded.sort !== sortSignature(sort) ||
+    !Array.isArray(decoded.values) ||
+    decoded.values.length !== sort.length ||
+    !UUID_PATTERN.test(decoded.id)
+  ) {
+    throw new ValidationError('cursor does not belong to this sort order');
+  }
+
+  return {
+    id: decoded.id,
+    values: decoded.values.map((value, index) =>
+      value !== null && SORT_FIELDS[sort[index].field].date ? new Date(value) : value
+    ),
+  };
+}
+
+function orderBy(sort) {
+  return [
+    ...sort.map(({ field, direction }) =>
+      SORT_FIELDS[field].nullable
+        ? { [field]: { sort: direction, nulls: 'last' } }
+        : { [field]: direction }
+    ),
+    { id: 'asc' },
+  ];
+}
+
+/**
+ * Condition matching the rows that come after the cursor row in the sort
+ * order: equal on the leading fields and past it on the next one, with the
+ * id breaking ties. Nulls sort last in both directions.
+ */
+function afterCursor(sort, cursor) {
+  const branches = [];
+  const equal = [];
+
+  sort.forEach(({ field, direction }, index) => {
+    const value = cursor.values[index];
+    if (value !== null) {
+      const past = { [field]: { [direction === 'desc' ? 'lt' : 'gt']: value } };
+      const after = SORT_FIELDS[field].nullable ? { OR: [past, { [field]: null }] } : past;
+      branches.push({ AND: [...equal, after] });
+    }
+    equal.push({ [field]: value });
+  });
+  branches.push({ AND: [...equal, { id: { gt: cursor.id } }] });
+
+  return { OR: branches };
+}
+
+/**
+ * List one page of the cases a tenant has access to.
+ * Returns { cases, pagination: { limit, sort, hasMore, nextCursor, total? } }
+ */
+export async function listCases(query, tenantId) {
+  const sort = parseSort(query.sort);
+  const limit = parseLimit(query.limit);
+  const includeTotal = parseBoolean(query.includeTotal, 'includeTotal');
+  const where = { AND: [caseAccessWhere(tenantId), buildCaseFilter(query)] };
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+
+  const rows = await prisma.case.findMany({
+    where: cursor ? { AND: [where, afterCursor(sort, cursor)] } : where,
+    include: {
+      tenant: true,
+      assignee: true,
+      creator: true,
+    },
+    orderBy: orderBy(sort),
+    take: limit + 1,
+  });
+  const total = includeTotal ? await prisma.case.count({ where }) : undefined;
+
+  const hasMore = rows.length > limit;
+  const cases = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    cases,
+    pagination: {
+      limit,
+      sort: sortSignature(sort),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, cases[cases.length - 1]) : null,
+      ...(includeTotal && { total }),
+    },
+  };
+}
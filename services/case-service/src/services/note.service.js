@@ -0,0 +1,212 @@
+/**
+ * Case Notes
+ * The running narrative of a case: notes with edit history, soft-deletion
+ * and @mentions
+ *
+ * Internal notes are only visible to the tenant that wrote them; shared
+ * notes are also visible to the tenants the case is referred to. Users are
+ * mentioned in the body with @[Display name](user id). Mentioned users must
+ * be able to see the note.
+ *
+ * Only the author may edit or delete a note. Every edit keeps the previous
+ * body, visibility and mentions as a revision.
+ */
+
+import prisma from '../config/database.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+import { findAccessibleCase } from './access.service.js';
+
+export const NOTE_VISIBILITIES = ['internal', 'shared'];
+
+const MAX_BODY_LENGTH = 20000;
+const MENTION_PATTERN =
+  /@\[[^\]]*\]\(([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\)/gi;
+
+/**
+ * List the ids of the users mentioned in a note body, in order of first mention
+ */
+export function parseMentions(body) {
+  const ids = [...body.matchAll(MENTION_PATTERN)].map(([, id]) => id.toLowerCase());
+  return [...new Set(ids)];
+}
+
+function validateContent({ body, visibility }) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new ValidationError('body is required');
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new ValidationError(`body must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+  if (!NOTE_VISIBILITIES.includes(visibility)) {
+    throw new ValidationError(`visibility must be one of ${NOTE_VISIBILITIES.join(', ')}`);
+  }
+}
+
+/**
+ * Tenants that can see a note of the given visibility on a case
+ */
+async function audienceTenants(case_, noteTenantId, visibility) {
+  if (visibility === 'internal') return [noteTenantId];
+  const referrals = await prisma.caseReferral.findMany({
+    where: { caseId: case_.id, status: 'accepted' },
+    select: { toTenantId: true },
+  });
+  return [case_.tenantId, ...referrals.map(referral => referral.toTenantId)];
+}
+
+async function validateMentions(mentions, case_, noteTenantId, visibility) {
+  if (mentions.length === 0) return;
+
+  const tenants = await audienceTenants(case_, noteTenantId, visibility);
+  const users = await prisma.user.findMany({
+    where: { id: { in: mentions }, tenantId: { in: tenants } },
+    select: { id: true },
+  });
+  const known = new Set(users.map(user => user.id));
+  const unknown = mentions.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      'Mentioned users cannot see this note',
+      unknown.map(id => ({
+        code: 'INVALID_MENTION',
+        message: `User ${id} does not exist or cannot see ${visibility} notes on this case`,
+        value: id,
+      }))
+    );
+  }
+}
+
+/**
+ * Prisma where clause matching the notes a tenant can see
+ */
+export function visibleNotesWhere(tenantId) {
+  return { OR: [{ tenantId }, { visibility: 'shared' }] };
+}
+
+function noteEventData(note, data = {}) {
+  return {
+    noteId: note.id,
+    caseId: note.caseId,
+    tenantId: note.tenantId,
+    authorId: note.authorId,
+    visibility: note.visibility,
+    mentions: note.mentions,
+    ...data,
+  };
+}
+
+/**
+ * List the notes of a case the tenant can see, oldest first
+ */
+export async function listNotes(caseId, tenantId) {
+  await findAccessibleCase(caseId, tenantId);
+  return prisma.caseNote.findMany({
+    where: { AND: [{ caseId, deletedAt: null }, visibleNotesWhere(tenantId)] },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+async function findVisibleNote(caseId, noteId, tenantId) {
+  const case_ = await findAccessibleCase(caseId, tenantId);
+  const note = await prisma.caseNote.findFirst({
+    where: { AND: [{ id: noteId, caseId, deletedAt: null }, visibleNotesWhere(tenantId)] },
+  });
+  if (!note) throw new NotFoundError('Note');
+  return { case_, note };
+}
+
+function assertAuthor(note, actorId) {
+  if (note.authorId !== actorId) {
+    throw new ForbiddenError('Only the author can change a note');
+  }
+}
+
+/**
+ * Add a note to a case.
+ * Returns { note, events }; the events are for the caller to publish.
+ */
+export async function addNote(caseId, { body, visibility = 'internal' }, { tenantId, actorId }) {
+  validateContent({ body, visibility });
+  const case_ = await findAccessibleCase(caseId, tenantId);
+  const mentions = parseMentions(body);
+  await validateMentions(mentions, case_, tenantId, visibility);
+
+  const note = await prisma.caseNote.create({
+    data: { caseId, tenantId, authorId: actorId, body, visibility, mentions },
+  });
+  return { note, events: [{ type: 'case.note.added', data: noteEventData(note) }] };
+}
+
+/**
+ * Change the body or visibility of a note, keeping the previous version as a revision.
+ * Returns { note, events }; users mentioned for the first time are listed in
+ * the event as newMentions.
+ */
+export async function editNote(caseId, noteId, changes, { tenantId, actorId }) {
+  const { case_, note: found } = await findVisibleNote(caseId, noteId, tenantId);
+  assertAuthor(found, actorId);
+
+  const { note, updated, mentions } = await prisma.$transaction(async tx => {
+    // Lock the note so concurrent edits each keep the version they replace
+    await tx.$queryRaw`SELECT id FROM case_notes WHERE id = ${noteId}::uuid FOR UPDATE`;
+    const note = await tx.caseNote.findFirst({ where: { id: noteId, deletedAt: null } });
+    if (!note) throw new NotFoundError('Note');
+
+    const body = changes.body ?? note.body;
+    const visibility = changes.visibility ?? note.visibility;
+    validateContent({ body, visibility });
+    if (body === note.body && visibility === note.visibility) return { note, updated: null };
+
+    const mentions = parseMentions(body);
+    await validateMentions(mentions, case_, note.tenantId, visibility);
+
+    await tx.caseNoteRevision.create({
+      data: {
+        noteId,
+        body: note.body,
+        visibility: note.visibility,
+        mentions: note.mentions,
+        editedBy: actorId,
+      },
+    });
+    const updated = await tx.caseNote.update({
+      where: { id: noteId },
+      data: { body, visibility, mentions, editedAt: new Date() },
+    });
+    return { note, updated, mentions };
+  });
+  if (!updated) return { note, events: [] };
+
+  const newMentions = mentions.filter(id => !note.mentions.includes(id));
+  return {
+    note: updated,
+    events: [{ type: 'case.note.updated', data: noteEventData(updated, { newMentions }) }],
+  };
+}
+
+/**
+ * Soft-delete a note. Returns { events }.
+ */
+export async function deleteNote(caseId, noteId, { tenantId, actorId }) {
+  const { note } = await findVisibleNote(caseId, noteId, tenantId);
+  assertAuthor(note, actorId);
+
+  const deleted = await prisma.caseNote.update({
+    where: { id: noteId },
+    data: { deletedAt: new Date(), deletedBy: actorId },
+  });
+  return { events: [{ type: 'case.note.deleted', data: noteEventData(deleted) }] };
+}
+
+/**
+ * List the earlier versions of a note, newest first. Other tenants only see
+ * the versions that were shared.
+ */
+export async function listNoteRevisions(caseId, noteId, tenantId) {
+  const { note } = await findVisibleNote(caseId, noteId, tenantId);
+  const revisions = await prisma.caseNoteRevision.findMany({
+    where: { noteId, ...(note.tenantId !== tenantId && { visibility: 'shared' }) },
+    orderBy: { createdAt: 'desc' },
+  });
+  return { note, revisions };
+}
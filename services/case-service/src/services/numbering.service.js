@@ -0,0 +1,165 @@
+/**
+ * Case Numbering
+ * Generates case numbers from the pattern a tenant keeps in
+ * Tenant.config.caseNumbering:
+ * {
+ *   pattern: '{TYPE}-{TENANT}-{YYYY}-{SEQ:6}',
+ *   typePrefixes: { criminal: 'CR', civil: 'CV' },
+ * }
+ *
+ * Tokens: {TENANT} (config.caseNumberPrefix or the tenant code), {TYPE}
+ * (the type's prefix, or the type in capitals), {YYYY}, {YY}, {MM} (in the
+ * tenant's config.timezone) and {SEQ} / {SEQ:n} (the sequence, zero-padded
+ * to n digits). A sequence is kept for every distinct rest of the number, so
+ * it restarts each year with {YYYY}, each month with {MM} and runs per type
+ * with {TYPE}.
+ *
+ * Sequences live in case_number_sequences and are advanced with a single
+ * upsert, so concurrent creations never draw the same value.
+ */
+
+import prisma from '../config/database.js';
+import { NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+
+const DEFAULT_PATTERN = '{TENANT}-{YYYY}-{SEQ:6}';
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const TOKENS = ['TENANT', 'TYPE', 'YYYY', 'YY', 'MM', 'SEQ'];
+const SEQUENCE_PLACEHOLDER = '{SEQ}';
+
+// Attempts at a fresh number when one is already taken by a case numbered by hand
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Read the numbering settings from a tenant's config, falling back to
+ * {TENANT}-{YYYY}-{SEQ:6}
+ */
+export function getNumberingConfig(tenantConfig) {
+  const numbering = tenantConfig?.caseNumbering || {};
+  return {
+    pattern: numbering.pattern || DEFAULT_PATTERN,
+    typePrefixes: numbering.typePrefixes || {},
+    tenantPrefix: tenantConfig?.caseNumberPrefix || null,
+    timeZone: tenantConfig?.timezone || 'UTC',
+  };
+}
+
+/**
+ * Check a numbering pattern. Returns a list of error messages; empty when valid.
+ */
+export function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return ['pattern must be a non-empty string'];
+
+  const errors = [];
+  const tokens = [...pattern.matchAll(TOKEN_PATTERN)];
+  for (const [token, name] of tokens) {
+    if (!TOKENS.includes(name)) errors.push(`Unknown token ${token}`);
+  }
+  const sequences = tokens.filter(([, name]) => name === 'SEQ');
+  if (sequences.length !== 1) errors.push('pattern must contain {SEQ} exactly once');
+  return errors;
+}
+
+function dateParts(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+    }).formatToParts(date);
+  } catch {
+    // Unknown time zones fall back to UTC
+    return dateParts(date, 'UTC');
+  }
+  const value = type => parts.find(part => part.type === type).value;
+  return { year: value('year'), month: value('month') };
+}
+
+/**
+ * Fill in every token but the sequence. The result identifies the sequence
+ * the number draws from.
+ */
+export function renderSequenceKey(config, { tenantCode, type, date }) {
+  const { year, month } = dateParts(date, config.timeZone);
+  const values = {
+    TENANT: config.tenantPrefix || tenantCode,
+    TYPE: Object.hasOwn(config.typePrefixes, type) ? config.typePrefixes[type] : type.toUpperCase(),
+    YYYY: year,
+    YY: year.slice(-2),
+    MM: month,
+  };
+  return config.pattern.replace(TOKEN_PATTERN, (token, name) =>
+    name === 'SEQ' ? SEQUENCE_PLACEHOLDER : values[name]
+  );
+}
+
+/**
+ * Put a sequence value into a rendered key, padded as the pattern asks
+ */
+export function formatCaseNumber(pattern, key, value) {
+  const [, , digits] = pattern.match(/\{(SEQ)(?::(\d+))?\}/) || [];
+  return key.replace(SEQUENCE_PLACEHOLDER, String(value).padStart(Number(digits || 0), '0'));
+}
+
+async function nextSequenceValue(tenantId, key) {
+  const [row] = await prisma.$queryRaw`
+    INSERT INTO case_number_sequences (tenant_id, key, value, updated_at)
+    VALUES (${tenantId}::uuid, ${key}, 1, now())
+    ON CONFLICT (tenant_id, key)
+    DO UPDATE SET value = case_number_sequences.value + 1, updated_at = now()
+    RETURNING value`;
+  return Number(row.value);
+}
+
+function assertCaseType(type) {
+  if (typeof type !== 'string' || !type.trim()) {
+    throw new ValidationError('type must be a non-empty string');
+  }
+}
+
+/**
+ * Draw the next case number of a tenant for a case type
+ */
+export async function generateCaseNumber(tenant, type, date = new Date()) {
+  assertCaseType(type);
+  const config = getNumberingConfig(tenant.config);
+  const errors = validatePattern(config.pattern);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      'Tenant case number pattern is invalid',
+      errors.map(message => ({ code: 'INVALID_CASE_NUMBER_PATTERN', message }))
+    );
+  }
+
+  const key = renderSequenceKey(config, { tenantCode: tenant.code, type, date });
+  const value = await nextSequenceValue(tenant.id, key);
+  return formatCaseNumber(config.pattern, key, value);
+}
+
+function isCaseNumberConflict(error) {
+  // meta.target names the violated unique constraint or its fields
+  const targets = [].concat(error?.meta?.target ?? []);
+  return error?.code === 'P2002' && targets.some(target => /case_?number/i.test(String(target)));
+}
+
+/**
+ * Create a case under a newly drawn case number; a caseNumber in data is
+ * replaced. Numbers already taken (cases numbered before numbering was configured) are
+ * skipped by drawing the next one.
+ */
+export async function createNumberedCase(data, { include } = {}) {
+  if (!data.tenantId) throw new ValidationError('tenantId is required');
+  assertCaseType(data.type);
+
+  const tenant = await prisma.tenant.findUnique({ where: { id: data.tenantId } });
+  if (!tenant) throw new NotFoundError('Tenant');
+
+  for (let attempt = 1; ; attempt += 1) {
+    const caseNumber = await generateCaseNumber(tenant, data.type);
+    try {
+      return await prisma.case.create({ data: { ...data, caseNumber }, include });
+    } catch (error) {
+      if (!isCaseNumberConflict(error) || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+}
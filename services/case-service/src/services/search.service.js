@@ -0,0 +1,290 @@
+/**
+ * Case Search
+ * PostgreSQL full-text search over the title, description and metadata
+ * string values of the cases a tenant has access to, and the notes on them
+ * the tenant can see
+ *
+ * cases.search_vector and case_notes.search_vector are generated by the
+ * database (see the case_search and case_note_search migrations) and
+ * GIN-indexed. Queries use websearch syntax: words, "quoted phrases", OR and
+ * -excluded words. Results are ranked with title matches first, then
+ * description, then metadata, then notes, and carry highlighted snippets:
+ * HTML-escaped text with matches wrapped in <mark></mark>.
+ */
+
+import { randomBytes } from 'crypto';
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { ValidationError } from '../../../shared/common/errors.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_NOTE_HIGHLIGHTS = 3;
+
+const TITLE_HEADLINE = 'HighlightAll=true';
+const TEXT_HEADLINE = 'MaxFragments=2, MaxWords=30, MinWords=10';
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    throw new ValidationError(
+      max === undefined
+        ? `${name} must be a whole number of at least ${min}`
+        : `${name} must be a whole number from ${min} to ${max}`
+    );
+  }
+  return number;
+}
+
+/**
+ * SQL condition on cases c matching what caseAccessWhere allows
+ */
+function accessibleTo(tenantId) {
+  return Prisma.sql`(
+    c.tenant_id = ${tenantId}::uuid
+    OR EXISTS (
+      SELECT 1 FROM case_referrals r
+      WHERE r.case_id = c.id AND r.to_tenant_id = ${tenantId}::uuid AND r.status = 'accepted'
+    )
+  )`;
+}
+
+/**
+ * SQL common table expression "note_matches": the best note rank of each case
+ * with a matching note the tenant can see
+ */
+function noteMatches(tenantId) {
+  return Prisma.sql`note_matches AS (
+    SELECT n.case_id, MAX(ts_rank(n.search_vector, search.query)) AS rank
+    FROM case_notes n, search
+    WHERE n.deleted_at IS NULL
+      AND n.search_vector @@ search.query
+      AND (n.tenant_id = ${tenantId}::uuid OR n.visibility = 'shared')
+    GROUP BY n.case_id
+  )`;
+}
+
+/**
+ * Delimiters for the matches ts_headline marks. They are drawn per search, so
+ * text stored in a case cannot pass for a match.
+ */
+function headlineMarkers() {
+  const nonce = randomBytes(8).toString('hex');
+  return { start: `[${nonce}[`, stop: `]${nonce}]` };
+}
+
+function headlineOptions(markers, options) {
+  return `StartSel="${markers.start}", StopSel="${markers.stop}", ${options}`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Turn a headline into HTML-escaped text with its matches wrapped in <mark></mark>
+ */
+function markHeadline(headline, { start, stop }) {
+  const [before, ...matches] = headline.split(start);
+  return (
+    escapeHtml(before) +
+    matches
+      .map(part => {
+        const [match, ...after] = part.split(stop);
+        return `<mark>${escapeHtml(match)}</mark>${escapeHtml(after.join(stop))}`;
+      })
+      .join('')
+  );
+}
+
+/**
+ * A highlighted snippet, or null when the headline holds no match
+ */
+function highlighted(headline, markers) {
+  return typeof headline === 'string' && headline.includes(markers.start)
+    ? markHeadline(headline, markers)
+    : null;
+}
+
+/**
+ * Collect the metadata values the database highlighted, keyed by dotted path
+ */
+function highlightedMetadata(value, markers, path = [], found = {}) {
+  if (typeof value === 'string') {
+    const snippet = highlighted(value, markers);
+    if (snippet) found[path.join('.')] = snippet;
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      highlightedMetadata(child, markers, [...path, key], found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Highlight the best-matching notes the tenant can see on each of the cases,
+ * keyed by case id
+ */
+async function highlightNotes(caseIds, text, tenantId, markers) {
+  if (caseIds.length === 0) return new Map();
+  const notes = await prisma.$queryRaw`
+    WITH search AS (SELECT websearch_to_tsquery('simple', ${text}) AS query),
+    matched AS (
+      SELECT
+        n.id,
+        n.case_id,
+        n.body,
+        ROW_NUMBER() OVER (
+          PARTITION BY n.case_id
+          ORDER BY ts_rank(n.search_vector, search.query) DESC, n.created_at DESC
+        ) AS position
+      FROM case_notes n, search
+      WHERE n.case_id IN (${Prisma.join(caseIds.map(id => Prisma.sql`${id}::uuid`))})
+        AND n.deleted_at IS NULL
+        AND n.search_vector @@ search.query
+        AND (n.tenant_id = ${tenantId}::uuid OR n.visibility = 'shared')
+    )
+    SELECT
+      matched.id,
+      matched.case_id AS "caseId",
+      ts_headline('simple', matched.body, search.query, ${headlineOptions(markers, TEXT_HEADLINE)})
+        AS body
+    FROM matched CROSS JOIN search
+    WHERE matched.position <= ${MAX_NOTE_HIGHLIGHTS}
+    ORDER BY matched.case_id, matched.position`;
+
+  const byCase = new Map();
+  for (const note of notes) {
+    const body = highlighted(note.body, markers);
+    if (!body) continue;
+    byCase.set(note.caseId, [...(byCase.get(note.caseId) || []), { noteId: note.id, body }]);
+  }
+  return byCase;
+}
+
+/**
+ * Search the cases a tenant owns or has accepted on referral.
+ * Soft-deleted cases and deleted notes are never returned.
+ * Query: { q, limit, offset, includeTotal }
+ * Returns { query, results: [{ case, rank, highlights }], pagination }, where
+ * highlights.notes lists up to three of the matching notes as { noteId, body }
+ */
+export async function searchCases(query, tenantId) {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!text) throw new ValidationError('q is required');
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const limit = parseInteger(query.limit, 'limit', {
+    min: 1,
+    max: MAX_LIMIT,
+    fallback: DEFAULT_LIMIT,
+  });
+  const offset = parseInteger(query.offset, 'offset', { min: 0, fallback: 0 });
+  const includeTotal = query.includeTotal === 'true';
+
+  // Rank and page first, so snippets are only built for the returned cases
+  const markers = headlineMarkers();
+  const matches = await prisma.$queryRaw`
+    WITH search AS (SELECT websearch_to_tsquery('simple', ${text}) AS query),
+    ${noteMatches(tenantId)},
+    ranked AS (
+      SELECT
+        c.id,
+        GREATEST(
+          CASE WHEN c.search_vector @@ search.query
+            THEN ts_rank(c.search_vector, search.query)
+          END,
+          note_matches.rank
+        ) AS rank
+      FROM cases c
+      CROSS JOIN search
+      LEFT JOIN note_matches ON note_matches.case_id = c.id
+      WHERE c.deleted_at IS NULL
+        AND (c.search_vector @@ search.query OR note_matches.case_id IS NOT NULL)
+        AND ${accessibleTo(tenantId)}
+      ORDER BY rank DESC, c.created_at DESC, c.id
+      LIMIT ${limit + 1} OFFSET ${offset}
+    )
+    SELECT
+      ranked.id,
+      ranked.rank,
+      ts_headline('simple', c.title, search.query, ${headlineOptions(markers, TITLE_HEADLINE)})
+        AS "title",
+      CASE WHEN c.description IS NOT NULL
+        THEN ts_headline(
+          'simple', c.description, search.query, ${headlineOptions(markers, TEXT_HEADLINE)}
+        )
+      END AS "description",
+      CASE WHEN c.metadata IS NOT NULL
+        THEN ts_headline(
+          'simple', c.metadata, search.query, ${headlineOptions(markers, TEXT_HEADLINE)}
+        )
+      END AS "metadata"
+    FROM ranked
+    JOIN cases c ON c.id = ranked.id
+    CROSS JOIN search
+    ORDER BY ranked.rank DESC, c.created_at DESC, c.id`;
+
+  const hasMore = matches.length > limit;
+  const page = hasMore ? matches.slice(0, limit) : matches;
+
+  const cases = await prisma.case.findMany({
+    where: { id: { in: page.map(match => match.id) } },
+    include: {
+      tenant: true,
+      assignee: true,
+      creator: true,
+    },
+  });
+  const byId = new Map(cases.map(case_ => [case_.id, case_]));
+  const notes = await highlightNotes(
+    page.map(match => match.id),
+    text,
+    tenantId,
+    markers
+  );
+
+  let total;
+  if (includeTotal) {
+    const [{ count }] = await prisma.$queryRaw`
+      WITH search AS (SELECT websearch_to_tsquery('simple', ${text}) AS query),
+      ${noteMatches(tenantId)}
+      SELECT count(*) AS count
+      FROM cases c
+      CROSS JOIN search
+      LEFT JOIN note_matches ON note_matches.case_id = c.id
+      WHERE c.deleted_at IS NULL
+        AND (c.search_vector @@ search.query OR note_matches.case_id IS NOT NULL)
+        AND ${accessibleTo(tenantId)}`;
+    total = Number(count);
+  }
+
+  return {
+    query: text,
+    results: page
+      .filter(match => byId.has(match.id))
+      .map(match => ({
+        case: byId.get(match.id),
+        rank: match.rank,
+        highlights: {
+          title: markHeadline(match.title, markers),
+          description: highlighted(match.description, markers),
+          metadata: highlightedMetadata(match.metadata, markers),
+          notes: notes.get(match.id) || [],
+        },
+      })),
+    pagination: {
+      limit,
+      offset,
+      hasMore,
+      nextOffset: hasMore ? offset + limit : null,
+      ...(includeTotal && { total }),
+    },
+  };
+}
@@ -0,0 +1,403 @@
+/**
+ * Case Timeline
+ * One chronological feed of everything that happened to a case, read from
+ * the tables the case, workflow and referral services write
+ *
+ * Entry types:
+ *   case.created, case.updated (the fields one update changed)
+ *   case.merged (a duplicate was merged into the case)
+ *   assignment.created, assignment.ended
+ *   workflow.transitioned, workflow.voted (an approval vote, which leaves
+ *   the state unchanged), workflow.migrated (moved to another version of its
+ *   workflow)
+ *   referral.created, referral.accepted, referral.rejected, referral.completed
+ *   attachment.added, attachment.deleted
+ *   note.added, note.deleted
+ *
+ * Every entry is { id, type, occurredAt, actor: { id, name } | null, data }.
+ * The feed only holds what the caller's tenant may see: notes follow their
+ * visibility, and tenants the case is referred to only see the referrals
+ * they take part in. The workflow history of duplicates merged into the
+ * case is included, marked with the duplicate's mergedCaseId.
+ *
+ * Each source is read from the cursor on and only as far as one page can
+ * reach, so the cost of a page does not grow with the length of the history.
+ *
+ * Query parameters:
+ *   types         comma-separated entry types or categories (e.g. referral)
+ *   order         asc (default, oldest first) or desc
+ *   limit         page size, 1-200 (default 50)
+ *   cursor        nextCursor of the previous page
+ */
+
+import prisma from '../config/database.js';
+import { ValidationError } from '../../../shared/common/errors.js';
+import { caseAccessWhere, findAccessibleCase } from './access.service.js';
+import { visibleNotesWhere } from './note.service.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const ORDERS = ['asc', 'desc'];
+
+export const TIMELINE_TYPES = [
+  'case.created',
+  'case.updated',
+  'case.merged',
+  'assignment.created',
+  'assignment.ended',
+  'workflow.transitioned',
+  'workflow.voted',
+  'workflow.migrated',
+  'referral.created',
+  'referral.accepted',
+  'referral.rejected',
+  'referral.completed',
+  'attachment.added',
+  'attachment.deleted',
+  'note.added',
+  'note.deleted',
+];
+
+function entry(type, sourceId, occurredAt, actorId, data) {
+  return { id: `${type}:${sourceId}`, type, occurredAt, actorId: actorId || null, data };
+}
+
+function parseTypes(value) {
+  if (value === undefined || value === '') return null;
+  const requested = String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const types = new Set();
+  for (const item of requested) {
+    const matching = TIMELINE_TYPES.filter(type => type === item || type.startsWith(`${item}.`));
+    if (matching.length === 0) throw new ValidationError(`Unknown timeline type '${item}'`);
+    matching.forEach(type => types.add(type));
+  }
+  return types;
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function encodeCursor(order, last) {
+  const cursor = { order, at: last.occurredAt.toISOString(), id: last.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('cursor is not valid');
+  }
+  const at = new Date(decoded?.at);
+  if (decoded?.order !== order || Number.isNaN(at.getTime()) || typeof decoded.id !== 'string') {
+    throw new ValidationError('cursor does not belong to this order');
+  }
+  return { at, id: decoded.id };
+}
+
+/**
+ * Read the rows of a source whose timestamp field lies past the cursor, in
+ * page order: at most bound.take of them, plus every row at the cursor's or
+ * the last row's timestamp, since those can sort to either side of the page
+ * boundary. Without bound.take every row past the cursor is read. find runs
+ * a findMany (or groupBy) with the arguments it is given.
+ */
+async function readPage(find, field, where, { order, at, take }) {
+  const matching = condition => ({ AND: [where, { [field]: condition }] });
+  let rows = await find({
+    where: matching(at ? { [order === 'asc' ? 'gt' : 'lt']: at } : { not: null }),
+    orderBy: { [field]: order },
+    ...(take && { take }),
+  });
+  const ties = at ? await find({ where: matching(at) }) : [];
+  if (rows.length === take) {
+    const last = rows[rows.length - 1][field];
+    rows = rows.filter(row => row[field].getTime() !== last.getTime());
+    ties.push(...(await find({ where: matching(last) })));
+  }
+  return [...ties, ...rows];
+}
+
+const findRows = delegate => args => delegate.findMany(args);
+
+function compareEntries(a, b) {
+  return a.occurredAt - b.occurredAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+async function caseEntries(case_, tenantId, bound) {
+  // The rows of one update share its changeSetId and changedAt
+  const changeSets = await readPage(
+    args => prisma.caseHistory.groupBy({ by: ['changeSetId', 'changedAt'], ...args }),
+    'changedAt',
+    { caseId: case_.id },
+    bound
+  );
+  const history = changeSets.length
+    ? await prisma.caseHistory.findMany({
+        where: { changeSetId: { in: changeSets.map(changeSet => changeSet.changeSetId) } },
+      })
+    : [];
+  const updates = new Map();
+  for (const row of history) {
+    if (!updates.has(row.changeSetId)) updates.set(row.changeSetId, { ...row, changes: [] });
+    updates.get(row.changeSetId).changes.push({
+      field: row.field,
+      from: row.oldValue,
+      to: row.newValue,
+    });
+  }
+  const mergedCases = await readPage(
+    findRows(prisma.case),
+    'mergedAt',
+    { AND: [{ mergedIntoId: case_.id }, caseAccessWhere(tenantId)] },
+    bound
+  );
+
+  return [
+    entry('case.created', case_.id, case_.createdAt, case_.createdBy, {
+      caseNumber: case_.caseNumber,
+      title: case_.title,
+      type: case_.type,
+      priority: case_.priority,
+    }),
+    ...[...updates.values()].map(update =>
+      entry('case.updated', update.changeSetId, update.changedAt, update.changedBy, {
+        changes: update.changes,
+      })
+    ),
+    ...mergedCases.map(merged =>
+      entry('case.merged', merged.id, merged.mergedAt, merged.mergedBy, {
+        mergedCaseId: merged.id,
+        caseNumber: merged.caseNumber,
+        title: merged.title,
+      })
+    ),
+  ];
+}
+
+async function assignmentEntries(caseId, bound) {
+  const find = findRows(prisma.assignment);
+  const [created, ended] = await Promise.all([
+    readPage(find, 'assignedAt', { caseId }, bound),
+    readPage(find, 'unassignedAt', { caseId }, bound),
+  ]);
+  const data = assignment => ({
+    assignmentId: assignment.id,
+    assignedTo: assignment.assignedTo,
+    assignmentType: assignment.assignmentType,
+  });
+  return [
+    ...created.map(assignment =>
+      entry('assignment.created', assignment.id, assignment.assignedAt, assignment.assignedBy, {
+        ...data(assignment),
+        notes: assignment.notes,
+      })
+    ),
+    ...ended.map(assignment =>
+      entry('assignment.ended', assignment.id, assignment.unassignedAt, null, data(assignment))
+    ),
+  ];
+}
+
+/**
+ * The entry type and extra data of a workflow state row: approval votes and
+ * migrations are recorded as state rows too. A vote stays in its state, the
+ * same rule the workflow-service applies; clients cannot write either key.
+ */
+function workflowEvent(state) {
+  const { vote, migration } = state.stateData || {};
+  if (vote && state.currentState === state.previousState) {
+    return ['workflow.voted', { party: vote.party, decision: vote.decision }];
+  }
+  if (migration) {
+    return [
+      'workflow.migrated',
+      { fromVersion: migration.fromVersion, toVersion: migration.toVersion },
+    ];
+  }
+  return ['workflow.transitioned', {}];
+}
+
+async function workflowEntries(caseId, bound) {
+  const states = await readPage(
+    findRows(prisma.workflowState),
+    'transitionedAt',
+    { caseId },
+    bound
+  );
+  return states.map(state => {
+    const [type, data] = workflowEvent(state);
+    return entry(type, state.id, state.transitionedAt, state.transitionedBy, {
+      workflowId: state.workflowId,
+      from: state.previousState,
+      to: state.currentState,
+      notes: state.transitionNotes,
+      ...data,
+      ...(state.mergedFromCaseId && { mergedCaseId: state.mergedFromCaseId }),
+    });
+  });
+}
+
+// The steps of a referral, each read by its own timestamp
+const REFERRAL_STEPS = [
+  ['referral.created', 'referredAt', 'referredBy'],
+  ['referral.accepted', 'acceptedAt', 'acceptedBy'],
+  ['referral.rejected', 'rejectedAt', 'rejectedBy'],
+  ['referral.completed', 'completedAt', null],
+];
+
+async function referralEntries(case_, tenantId, bound) {
+  const where = {
+    AND: [
+      { caseId: case_.id },
+      case_.tenantId !== tenantId
+        ? { OR: [{ fromTenantId: tenantId }, { toTenantId: tenantId }] }
+        : {},
+    ],
+  };
+  const steps = await Promise.all(
+    REFERRAL_STEPS.map(([, field]) => readPage(findRows(prisma.caseReferral), field, where, bound))
+  );
+
+  return REFERRAL_STEPS.flatMap(([type, field, actorField], index) =>
+    steps[index].map(referral =>
+      entry(type, referral.id, referral[field], actorField && referral[actorField], {
+        referralId: referral.id,
+        fromTenantId: referral.fromTenantId,
+        toTenantId: referral.toTenantId,
+        ...(type === 'referral.created' && { reason: referral.referralReason }),
+      })
+    )
+  );
+}
+
+async function attachmentEntries(caseId, bound) {
+  const find = findRows(prisma.caseAttachment);
+  const [added, deleted] = await Promise.all([
+    readPage(find, 'uploadedAt', { caseId }, bound),
+    readPage(find, 'deletedAt', { caseId }, bound),
+  ]);
+  const data = attachment => ({
+    attachmentId: attachment.id,
+    filename: attachment.originalFilename,
+    mimeType: attachment.mimeType,
+    fileSize: attachment.fileSize,
+  });
+  return [
+    ...added.map(attachment =>
+      entry(
+        'attachment.added',
+        attachment.id,
+        attachment.uploadedAt,
+        attachment.uploadedBy,
+        data(attachment)
+      )
+    ),
+    ...deleted.map(attachment =>
+      entry('attachment.deleted', attachment.id, attachment.deletedAt, null, data(attachment))
+    ),
+  ];
+}
+
+async function noteEntries(caseId, tenantId, bound) {
+  const find = findRows(prisma.caseNote);
+  const where = { AND: [{ caseId }, visibleNotesWhere(tenantId)] };
+  const [added, deleted] = await Promise.all([
+    readPage(find, 'createdAt', where, bound),
+    readPage(find, 'deletedAt', where, bound),
+  ]);
+  const data = note => ({ noteId: note.id, visibility: note.visibility });
+  return [
+    ...added.map(note =>
+      entry('note.added', note.id, note.createdAt, note.authorId, {
+        ...data(note),
+        // The body of a deleted note is no longer shown
+        body: note.deletedAt ? null : note.body,
+        editedAt: note.editedAt,
+      })
+    ),
+    ...deleted.map(note =>
+      entry('note.deleted', note.id, note.deletedAt, note.deletedBy, data(note))
+    ),
+  ];
+}
+
+async function withActors(entries) {
+  const ids = [...new Set(entries.map(item => item.actorId).filter(Boolean))];
+  const users = ids.length
+    ? await prisma.user.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, firstName: true, lastName: true },
+      })
+    : [];
+  const names = new Map(users.map(user => [user.id, `${user.firstName} ${user.lastName}`.trim()]));
+
+  return entries.map(({ actorId, ...item }) => ({
+    ...item,
+    actor: actorId ? { id: actorId, name: names.get(actorId) ?? null } : null,
+  }));
+}
+
+/**
+ * Read one page of a case's timeline.
+ * Returns { entries, pagination: { limit, order, hasMore, nextCursor } }
+ */
+export async function getTimeline(caseId, query, tenantId) {
+  const types = parseTypes(query.types);
+  const limit = parseLimit(query.limit);
+  const order = query.order || 'asc';
+  if (!ORDERS.includes(order)) throw new ValidationError('order must be asc or desc');
+  const cursor = query.cursor ? decodeCursor(query.cursor, order) : null;
+
+  const case_ = await findAccessibleCase(caseId, tenantId);
+  const bound = { order, at: cursor?.at ?? null, take: limit + 1 };
+  // Which kind of entry a workflow state row makes is only known once it is
+  // read, so a filter on some of the kinds reads them all
+  const workflowTypes = TIMELINE_TYPES.filter(type => type.startsWith('workflow.'));
+  const someWorkflowTypes =
+    types &&
+    workflowTypes.some(type => types.has(type)) &&
+    !workflowTypes.every(type => types.has(type));
+  const sources = await Promise.all([
+    caseEntries(case_, tenantId, bound),
+    assignmentEntries(caseId, bound),
+    workflowEntries(caseId, someWorkflowTypes ? { ...bound, take: null } : bound),
+    referralEntries(case_, tenantId, bound),
+    attachmentEntries(caseId, bound),
+    noteEntries(caseId, tenantId, bound),
+  ]);
+
+  const direction = order === 'asc' ? 1 : -1;
+  const sorted = sources
+    .flat()
+    .filter(item => !types || types.has(item.type))
+    .sort((a, b) => direction * compareEntries(a, b));
+  const remaining = cursor
+    ? sorted.filter(
+        item => direction * compareEntries(item, { occurredAt: cursor.at, id: cursor.id }) > 0
+      )
+    : sorted;
+
+  const hasMore = remaining.length > limit;
+  const page = remaining.slice(0, limit);
+  return {
+    entries: await withActors(page),
+    pagination: {
+      limit,
+      order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(order, page[page.length - 1]) : null,
+    },
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Workflow Service Client
+ * Calls the workflow-service on behalf of case operations
+ */
+
+import prisma from '../config/database.js';
+import { NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+import HttpClient from '../../../shared/utils/httpClient.js';
+
+const workflowClient = new HttpClient(process.env.WORKFLOW_SERVICE_URL || 'http://localhost:3004');
+
+/**
+ * Start a new case on the given workflow or, without workflowId, on the one
+ * the tenant's bindings select for it.
+ * Returns the initial WorkflowState row, or null when no workflow applies.
+ */
+export async function startCaseWorkflow(case_, { userId, workflowId } = {}) {
+  const data = await workflowClient.post(
+    `/workflows/cases/${case_.id}/start`,
+    { workflowId },
+    {
+      ...(userId && { 'x-user-id': userId }),
+      'x-tenant-id': case_.tenantId,
+    }
+  );
+  return data.state || null;
+}
+
+/**
+ * Check a workflow requested for a new case before the case is created: it
+ * must belong to the case's tenant and its latest version must be active,
+ * as the workflow-service requires when it starts the case
+ */
+export async function assertStartableWorkflow(workflowId, tenantId) {
+  if (typeof workflowId !== 'string' || !workflowId) {
+    throw new ValidationError('workflowId must be the id of a workflow');
+  }
+  const requested = await prisma.workflow.findUnique({ where: { id: workflowId } });
+  if (!requested) throw new NotFoundError('Workflow');
+  if (requested.tenantId !== tenantId) {
+    throw new ValidationError('workflowId must belong to the tenant of the case');
+  }
+
+  const rootId = requested.rootWorkflowId || requested.id;
+  const latest =
+    (!requested.isLatest &&
+      (await prisma.workflow.findFirst({
+        where: { OR: [{ id: rootId }, { rootWorkflowId: rootId }], isLatest: true },
+      }))) ||
+    requested;
+  if (!latest.isActive) throw new ValidationError(`Workflow ${latest.id} is not active`);
+}
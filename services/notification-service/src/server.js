@@ -28,6 +28,12 @@ eventBus.subscribe('case.created', (data) => {
 eventBus.subscribe('case.assigned', (data) => {
   logger.info('Sending assignment notification', data);
 });
+eventBus.subscribe('case.note.added', (data) => {
+  if (data.mentions.length > 0) logger.info('Sending mention notification', data);
+});
+eventBus.subscribe('case.note.updated', (data) => {
+  if (data.newMentions.length > 0) logger.info('Sending mention notification', data);
+});
 
 app.use('/notifications', notificationRoutes);
 
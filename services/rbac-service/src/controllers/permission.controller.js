@@ -94,10 +94,17 @@ export async function getUserPermissions(req, res, next) {
       userId,
       permissions,
       details: permissionDetails,
+      // Each role with its own permission keys, so callers can keep only the
+      // roles that apply to one tenant
       roles: userRoles.map(ur => ({
         id: ur.role.id,
         name: ur.role.name,
+        tenantId: ur.role.tenantId,
         isSystemRole: ur.role.isSystemRole,
+        isActive: ur.role.isActive,
+        permissions: ur.role.rolePermissions.map(
+          rp => `${rp.permission.resource}:${rp.permission.action}`
+        ),
       })),
     });
   } catch (error) {
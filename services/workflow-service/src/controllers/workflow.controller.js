@@ -1,16 +1,57 @@
 import prisma from '../config/database.js';
 import { NotFoundError, ValidationError } from '../../../shared/common/errors.js';
 import EventBus from '../../../shared/utils/eventBus.js';
+import { entityTag } from '../../../shared/utils/etag.js';
+import {
+  getAvailableTransitions,
+  loadCaseWorkflow,
+  publishTransitionEvents,
+  resolveCurrentState,
+  startWorkflow,
+  transitionCase,
+} from '../services/transition.service.js';
+import {
+  getVersions,
+  newWorkflowData,
+  updateWorkflowVersioned,
+} from '../services/version.service.js';
+import { castVote, getApprovalStatus, takeRejectTransition } from '../services/approval.service.js';
+import {
+  createBinding,
+  deleteBinding,
+  listBindings,
+  updateBinding,
+} from '../services/binding.service.js';
+import { DIAGRAM_FORMATS, renderDiagram } from '../services/diagram.service.js';
+import { simulateWorkflow } from '../services/simulation.service.js';
+import {
+  createCaseTask,
+  getTask,
+  listCaseTasks,
+  transitionTask,
+  updateTask,
+} from '../services/task.service.js';
+import { PACKAGE_FORMATS, exportWorkflow, importWorkflow } from '../services/package.service.js';
+import {
+  getStuckCases,
+  getTimeInState,
+  getTransitionReport,
+  parseAnalyticsFilters,
+} from '../services/analytics.service.js';
+import { getBusinessCalendar } from '../utils/calendar.js';
+import { migrateCases } from '../services/migration.service.js';
+import { assertValidDefinition, validateDefinition } from '../utils/definition.validator.js';
 
 const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
 
 export async function getWorkflows(req, res, next) {
   try {
-    const { tenantId, isActive } = req.query;
+    const { tenantId, isActive, allVersions } = req.query;
     const workflows = await prisma.workflow.findMany({
       where: {
         ...(tenantId && { tenantId }),
         ...(isActive !== undefined && { isActive: isActive === 'true' }),
+        ...(allVersions !== 'true' && { isLatest: true }),
       },
       include: {
         tenant: true,
@@ -34,23 +75,211 @@ export async function getWorkflow(req, res, next) {
       },
     });
     if (!workflow) throw new NotFoundError('Workflow');
+    res.set('ETag', entityTag(workflow));
     res.json({ workflow });
   } catch (error) {
     next(error);
   }
 }
 
+export async function getWorkflowDiagram(req, res, next) {
+  try {
+    const format = req.query.format || 'mermaid';
+    if (!Object.hasOwn(DIAGRAM_FORMATS, format)) {
+      throw new ValidationError(`format must be one of ${Object.keys(DIAGRAM_FORMATS).join(', ')}`);
+    }
+
+    const workflow = await prisma.workflow.findUnique({ where: { id: req.params.id } });
+    if (!workflow) throw new NotFoundError('Workflow');
+
+    let currentState = null;
+    if (req.query.caseId) {
+      const { case_, workflow: caseWorkflow } = await loadCaseWorkflow(
+        prisma,
+        req.query.caseId,
+        workflow.id
+      );
+      currentState = await resolveCurrentState(prisma, case_, caseWorkflow);
+    }
+
+    const diagram = renderDiagram(workflow.definition, format, {
+      currentState,
+      name: workflow.name,
+    });
+    res.type(DIAGRAM_FORMATS[format].contentType).send(diagram);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Dry-run a sequence of steps against a workflow. A draft definition in the
+ * body replaces the stored one, so changes can be tried before publishing.
+ */
+export async function simulateWorkflowRun(req, res, next) {
+  try {
+    const workflow = await prisma.workflow.findUnique({
+      where: { id: req.params.id },
+      include: { tenant: true },
+    });
+    if (!workflow) throw new NotFoundError('Workflow');
+
+    const { definition: draft, ...input } = req.body ?? {};
+    const definition = draft ?? workflow.definition;
+    const warnings = draft ? assertValidDefinition(draft) : [];
+
+    const simulation = simulateWorkflow(definition, {
+      ...input,
+      workflowId: workflow.id,
+      calendar: getBusinessCalendar(workflow.tenant?.config),
+    });
+    res.json({ simulation, ...(warnings.length > 0 && { warnings }) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function exportWorkflowPackage(req, res, next) {
+  try {
+    const format = req.query.format || 'json';
+    if (!Object.hasOwn(PACKAGE_FORMATS, format)) {
+      throw new ValidationError(`format must be one of ${Object.keys(PACKAGE_FORMATS).join(', ')}`);
+    }
+
+    const pkg = await exportWorkflow(req.params.id);
+    const { contentType, serialize } = PACKAGE_FORMATS[format];
+    res.attachment(`workflow-${pkg.source.workflowId}-v${pkg.source.version}.${format}`);
+    res.type(contentType).send(serialize(pkg));
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function importWorkflowPackage(req, res, next) {
+  try {
+    // A package is always imported into the caller's tenant
+    const {
+      package: pkg,
+      name,
+      roleMapping,
+      userMapping,
+      workflowMapping,
+      dryRun,
+    } = req.body ?? {};
+    const { workflow, report } = await importWorkflow({
+      tenantId: req.headers['x-tenant-id'],
+      package: pkg,
+      name,
+      roleMapping,
+      userMapping,
+      workflowMapping,
+      dryRun: dryRun === true,
+      actorId: req.headers['x-user-id'],
+    });
+    if (!workflow) {
+      res.json({ report });
+      return;
+    }
+
+    await eventBus.publish('workflow.created', {
+      workflowId: workflow.id,
+      tenantId: workflow.tenantId,
+      importedFrom: report.source,
+    });
+    res.status(201).json({ workflow, report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getWorkflowTimeInState(req, res, next) {
+  try {
+    const filters = parseAnalyticsFilters(req.query, req.headers['x-tenant-id']);
+    const report = await getTimeInState(req.params.id, filters);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getWorkflowTransitionReport(req, res, next) {
+  try {
+    const filters = parseAnalyticsFilters(req.query, req.headers['x-tenant-id']);
+    const report = await getTransitionReport(req.params.id, filters);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getWorkflowStuckCases(req, res, next) {
+  try {
+    const { threshold, state, limit } = req.query;
+    const filters = parseAnalyticsFilters(req.query, req.headers['x-tenant-id']);
+    const report = await getStuckCases(req.params.id, filters, { threshold, state, limit });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getWorkflowBindings(req, res, next) {
+  try {
+    const { tenantId, caseType } = req.query;
+    const bindings = await listBindings({ tenantId, caseType });
+    res.json({ bindings });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function createWorkflowBinding(req, res, next) {
+  try {
+    const binding = await createBinding(req.body ?? {});
+    res.status(201).json({ binding });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function updateWorkflowBinding(req, res, next) {
+  try {
+    const binding = await updateBinding(req.params.bindingId, req.body ?? {});
+    res.json({ binding });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function deleteWorkflowBinding(req, res, next) {
+  try {
+    await deleteBinding(req.params.bindingId);
+    res.json({ message: 'Workflow binding deleted' });
+  } catch (error) {
+    next(error);
+  }
+}
+
 export async function createWorkflow(req, res, next) {
   try {
+    const warnings = assertValidDefinition(req.body?.definition);
     const workflow = await prisma.workflow.create({
-      data: req.body,
+      data: newWorkflowData(req.body ?? {}),
       include: {
         tenant: true,
         creator: true,
       },
     });
     await eventBus.publish('workflow.created', { workflowId: workflow.id, tenantId: workflow.tenantId });
-    res.status(201).json({ workflow });
+    res.status(201).json({ workflow, ...(warnings.length > 0 && { warnings }) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function validateWorkflowDefinition(req, res, next) {
+  try {
+    res.json(validateDefinition(req.body?.definition));
   } catch (error) {
     next(error);
   }
@@ -58,12 +287,58 @@ export async function createWorkflow(req, res, next) {
 
 export async function updateWorkflow(req, res, next) {
   try {
-    const workflow = await prisma.workflow.update({
-      where: { id: req.params.id },
-      data: req.body,
+    const { workflow, published, warnings } = await updateWorkflowVersioned(
+      req.params.id,
+      req.body ?? {},
+      { ifMatch: req.headers['if-match'] }
+    );
+    if (published) {
+      await eventBus.publish('workflow.version.published', {
+        workflowId: workflow.id,
+        rootWorkflowId: workflow.rootWorkflowId,
+        version: workflow.version,
+      });
+    } else {
+      await eventBus.publish('workflow.updated', { workflowId: workflow.id });
+    }
+    res.set('ETag', entityTag(workflow));
+    res.status(published ? 201 : 200).json({ workflow, ...(warnings.length > 0 && { warnings }) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getWorkflowVersions(req, res, next) {
+  try {
+    const versions = await getVersions(req.params.id);
+    res.json({ versions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function migrateWorkflowCases(req, res, next) {
+  try {
+    const { caseIds, stateMapping, dryRun } = req.body ?? {};
+    const { report, events } = await migrateCases(req.params.id, {
+      caseIds,
+      stateMapping,
+      dryRun: dryRun !== false,
+      actorId: req.headers['x-user-id'],
     });
-    await eventBus.publish('workflow.updated', { workflowId: workflow.id });
-    res.json({ workflow });
+    for (const result of report.results.filter(r => r.status === 'migrated')) {
+      await eventBus.publish('workflow.case.migrated', {
+        caseId: result.caseId,
+        workflowId: report.workflowId,
+        fromWorkflowId: result.fromWorkflowId,
+        currentState: result.toState,
+        previousState: result.fromState,
+      });
+    }
+    for (const event of events) {
+      await eventBus.publish(event.type, event.data);
+    }
+    res.json(report);
   } catch (error) {
     next(error);
   }
@@ -103,22 +378,202 @@ export async function getWorkflowStates(req, res, next) {
 
 export async function createWorkflowState(req, res, next) {
   try {
-    const state = await prisma.workflowState.create({
-      data: req.body,
-      include: {
-        case: true,
-        workflow: true,
-        transitioner: true,
-      },
+    const {
+      caseId,
+      workflowId,
+      transition,
+      currentState,
+      previousState,
+      transitionNotes,
+      stateData,
+    } = req.body ?? {};
+    // The actor is always the authenticated user; permissions and roles are
+    // checked against them, so the body cannot name someone else
+    const result = await transitionCase({
+      caseId,
+      workflowId,
+      transition,
+      toState: currentState,
+      fromState: previousState,
+      actorId: req.headers['x-user-id'],
+      notes: transitionNotes,
+      stateData,
+    });
+    await publishTransitionEvents(eventBus, result);
+    res.status(201).json({ state: result.state });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function startCaseWorkflow(req, res, next) {
+  try {
+    const result = await startWorkflow({
+      caseId: req.params.caseId,
+      workflowId: req.body?.workflowId,
+      actorId: req.headers['x-user-id'],
+      notes: req.body?.notes,
+    });
+    if (!result) {
+      res.json({ state: null, message: 'No workflow applies to this case' });
+      return;
+    }
+
+    await publishTransitionEvents(eventBus, result);
+    res.status(201).json({
+      state: result.state,
+      workflow: result.workflow,
+      binding: result.binding,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getCaseAvailableTransitions(req, res, next) {
+  try {
+    const result = await getAvailableTransitions(
+      req.params.caseId,
+      req.query.workflowId,
+      req.headers['x-user-id']
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getCaseApproval(req, res, next) {
+  try {
+    const result = await getApprovalStatus(req.params.caseId, req.query.workflowId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function castCaseVote(req, res, next) {
+  try {
+    const { workflowId, decision, party, comment } = req.body ?? {};
+    const { vote, state, approval, rejectTransition } = await castVote({
+      caseId: req.params.caseId,
+      workflowId,
+      actorId: req.headers['x-user-id'],
+      decision,
+      party,
+      comment,
+    });
+
+    await eventBus.publish('workflow.approval.voted', {
+      caseId: vote.caseId,
+      workflowId: vote.workflowId,
+      state,
+      party: vote.stateData.vote.party,
+      decision,
+      votedBy: vote.transitionedBy,
+      status: approval.status,
+    });
+    if (approval.status !== 'pending') {
+      await eventBus.publish('workflow.approval.completed', {
+        caseId: vote.caseId,
+        workflowId: vote.workflowId,
+        state,
+        status: approval.status,
+      });
+    }
+
+    // The vote stands even when the case cannot be moved along the rejection
+    let rejection = null;
+    let rejectionError = null;
+    if (rejectTransition) {
+      ({ rejection, error: rejectionError } = await takeRejectTransition({
+        caseId: vote.caseId,
+        workflowId: vote.workflowId,
+        state,
+        rejectTransition,
+      }));
+    }
+    if (rejection) {
+      await publishTransitionEvents(eventBus, rejection);
+    }
+
+    res.status(201).json({
+      vote,
+      approval,
+      ...(rejection && { transition: rejection.state }),
+      ...(rejectionError && { rejectionError }),
     });
-    await eventBus.publish('workflow.state.changed', {
-      caseId: state.caseId,
-      workflowId: state.workflowId,
-      currentState: state.currentState,
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function publishEvents(events) {
+  for (const event of events) {
+    await eventBus.publish(event.type, event.data);
+  }
+}
+
+export async function getCaseTasks(req, res, next) {
+  try {
+    const tasks = await listCaseTasks(req.params.caseId, {
+      status: req.query.status,
+      state: req.query.state,
     });
-    res.status(201).json({ state });
+    res.json({ tasks });
   } catch (error) {
     next(error);
   }
 }
 
+export async function createCaseTaskItem(req, res, next) {
+  try {
+    const { task, events } = await createCaseTask(
+      req.params.caseId,
+      req.body ?? {},
+      req.headers['x-user-id']
+    );
+    await publishEvents(events);
+    res.status(201).json({ task });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getCaseTask(req, res, next) {
+  try {
+    const result = await getTask(req.params.taskId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function updateCaseTask(req, res, next) {
+  try {
+    const { task, events } = await updateTask(
+      req.params.taskId,
+      req.body ?? {},
+      req.headers['x-user-id']
+    );
+    await publishEvents(events);
+    res.json({ task });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function transitionCaseTask(req, res, next) {
+  try {
+    const { transition, toState, fromState } = req.body ?? {};
+    const result = await transitionTask(
+      req.params.taskId,
+      { transition, toState, fromState },
+      req.headers['x-user-id']
+    );
+    await publishEvents(result.events);
+    res.json({ task: result.task, transition: result.transition.name });
+  } catch (error) {
+    next(error);
+  }
+}
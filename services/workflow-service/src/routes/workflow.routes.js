@@ -3,21 +3,67 @@ import {
   getWorkflows,
   getWorkflow,
   createWorkflow,
+  validateWorkflowDefinition,
   updateWorkflow,
   deleteWorkflow,
   getWorkflowStates,
   createWorkflowState,
+  getCaseAvailableTransitions,
+  getWorkflowVersions,
+  migrateWorkflowCases,
+  getCaseApproval,
+  castCaseVote,
+  getWorkflowDiagram,
+  simulateWorkflowRun,
+  getWorkflowTimeInState,
+  getWorkflowTransitionReport,
+  getWorkflowStuckCases,
+  getWorkflowBindings,
+  createWorkflowBinding,
+  updateWorkflowBinding,
+  deleteWorkflowBinding,
+  startCaseWorkflow,
+  exportWorkflowPackage,
+  importWorkflowPackage,
+  getCaseTasks,
+  createCaseTaskItem,
+  getCaseTask,
+  updateCaseTask,
+  transitionCaseTask,
 } from '../controllers/workflow.controller.js';
 
 const router = express.Router();
 
 router.get('/', getWorkflows);
+router.get('/bindings', getWorkflowBindings);
+router.post('/bindings', createWorkflowBinding);
+router.put('/bindings/:bindingId', updateWorkflowBinding);
+router.delete('/bindings/:bindingId', deleteWorkflowBinding);
 router.get('/:id', getWorkflow);
 router.post('/', createWorkflow);
+router.post('/validate', validateWorkflowDefinition);
+router.post('/import', importWorkflowPackage);
 router.put('/:id', updateWorkflow);
 router.delete('/:id', deleteWorkflow);
+router.get('/:id/versions', getWorkflowVersions);
+router.post('/:id/migrate', migrateWorkflowCases);
+router.get('/:id/diagram', getWorkflowDiagram);
+router.get('/:id/export', exportWorkflowPackage);
+router.post('/:id/simulate', simulateWorkflowRun);
+router.get('/:id/analytics/time-in-state', getWorkflowTimeInState);
+router.get('/:id/analytics/transitions', getWorkflowTransitionReport);
+router.get('/:id/analytics/stuck-cases', getWorkflowStuckCases);
 
 router.get('/:id/states', getWorkflowStates);
 router.post('/states', createWorkflowState);
+router.post('/cases/:caseId/start', startCaseWorkflow);
+router.get('/cases/:caseId/available-transitions', getCaseAvailableTransitions);
+router.get('/cases/:caseId/approval', getCaseApproval);
+router.post('/cases/:caseId/votes', castCaseVote);
+router.get('/cases/:caseId/tasks', getCaseTasks);
+router.post('/cases/:caseId/tasks', createCaseTaskItem);
+router.get('/tasks/:taskId', getCaseTask);
+router.put('/tasks/:taskId', updateCaseTask);
+router.post('/tasks/:taskId/transitions', transitionCaseTask);
 
 export default router;
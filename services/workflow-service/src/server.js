@@ -2,6 +2,7 @@ import express from 'express';
 import dotenv from 'dotenv';
 import { errorHandler } from '../../../shared/middleware/errorHandler.js';
 import workflowRoutes from './routes/workflow.routes.js';
+import { startTimerScheduler } from './services/timer.service.js';
 import Logger from '../../../shared/common/logger.js';
 import './config/database.js'; // Initialize database connection
 
@@ -23,6 +24,12 @@ app.use(errorHandler);
 
 app.listen(PORT, () => {
   logger.info(`Workflow Service running on port ${PORT}`);
+
+  if (process.env.WORKFLOW_TIMERS_ENABLED !== 'false') {
+    startTimerScheduler({
+      intervalMs: Number(process.env.WORKFLOW_TIMER_POLL_MS) || 30000,
+    });
+  }
 });
 
 export default app;
@@ -0,0 +1,261 @@
+/**
+ * Workflow State Actions
+ * Automatic actions run when a case leaves or enters a state
+ *
+ * Actions are declared on a state in Workflow.definition:
+ * {
+ *   name: 'resolved',
+ *   onEnter: [
+ *     { type: 'setField', field: 'resolvedAt', value: '$now' },
+ *     { type: 'assign', to: 'none' },
+ *     { type: 'publish', event: 'case.resolved' },
+ *   ],
+ *   onExit: [{ type: 'setField', field: 'resolvedAt', value: null }],
+ * }
+ *
+ * A state's timers are started on entry the same way as startTimer actions:
+ * { name: 'review-sla', duration: '5d', calendar: 'business', transition: 'Escalate' }
+ * and its tasks are spawned the same way as createTask actions:
+ * { name: 'home-visit', title: 'Home visit', due: '5d', workflow: '<workflow id>' }
+ *
+ * Resolving actions is pure: it returns the case changes to write, the
+ * timers and tasks to create and the events to publish, so callers decide
+ * when (and whether) to apply them.
+ */
+
+import { getStateConfig } from './definition.service.js';
+import { addBusinessDuration } from '../utils/calendar.js';
+import { addDuration } from '../utils/duration.js';
+
+// Case fields a setField action may write; 'metadata.<key>' is also accepted
+export const SETTABLE_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'assignedTo',
+  'dueDate',
+  'resolvedAt',
+];
+
+const DATE_FIELDS = ['dueDate', 'resolvedAt'];
+
+const CASE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isDateValue = value =>
+  value === null ||
+  value === '$now' ||
+  (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+
+// The values (before placeholders are replaced) each settable field accepts
+const FIELD_VALUES = {
+  title: {
+    accepts: value => typeof value === 'string' && value.trim() !== '',
+    expected: 'a non-empty string',
+  },
+  description: {
+    accepts: value => value === null || typeof value === 'string',
+    expected: 'a string or null',
+  },
+  priority: {
+    accepts: value => CASE_PRIORITIES.includes(value),
+    expected: `one of ${CASE_PRIORITIES.join(', ')}`,
+  },
+  assignedTo: {
+    accepts: value =>
+      value === null ||
+      value === '$actor' ||
+      value === '$creator' ||
+      (typeof value === 'string' && UUID_PATTERN.test(value)),
+    expected: "a user id, '$actor', '$creator' or null",
+  },
+  dueDate: { accepts: isDateValue, expected: "a date, '$now' or null" },
+  resolvedAt: { accepts: isDateValue, expected: "a date, '$now' or null" },
+};
+
+/**
+ * Check the value of a setField action against its field.
+ * Returns a message describing what the field expects, or null when the
+ * value is acceptable; metadata keys take any value.
+ */
+export function checkSetFieldValue(field, value = null) {
+  const values = FIELD_VALUES[field];
+  if (!values || values.accepts(value)) return null;
+  return `Field '${field}' must be set to ${values.expected}`;
+}
+
+export const ASSIGN_TARGETS = ['creator', 'actor', 'none'];
+
+// 'business' durations count working days of the tenant's business calendar
+export const TIMER_CALENDARS = ['calendar', 'business'];
+
+/**
+ * Replace value placeholders: $now, $actor and $creator
+ */
+function resolveValue(value, context) {
+  if (value === '$now') return context.now;
+  if (value === '$actor') return context.actorId || null;
+  if (value === '$creator') return context.case.createdBy;
+  return value;
+}
+
+function eventData(context, data = {}) {
+  const { caseChanges } = context.effects;
+  return {
+    caseId: context.case.id,
+    tenantId: context.case.tenantId,
+    workflowId: context.workflowId,
+    state: context.state,
+    createdBy: context.case.createdBy,
+    assignedTo: 'assignedTo' in caseChanges ? caseChanges.assignedTo : context.case.assignedTo,
+    ...data,
+  };
+}
+
+function setCaseField(field, value, context) {
+  const { caseChanges } = context.effects;
+
+  if (field.startsWith('metadata.')) {
+    caseChanges.metadata = {
+      ...(caseChanges.metadata ?? context.case.metadata ?? {}),
+      [field.slice('metadata.'.length)]: value,
+    };
+    return;
+  }
+
+  caseChanges[field] = DATE_FIELDS.includes(field) && value !== null ? new Date(value) : value;
+}
+
+/**
+ * Action handlers keyed by action type.
+ * Each records its effects on the context and returns the details stored in
+ * the action result, or throws to mark the action as skipped.
+ */
+const ACTIONS = {
+  setField(action, context) {
+    if (!SETTABLE_FIELDS.includes(action.field) && !action.field?.startsWith('metadata.')) {
+      throw new Error(`Field '${action.field}' cannot be set by a workflow action`);
+    }
+    const invalid = checkSetFieldValue(action.field, action.value ?? null);
+    if (invalid) throw new Error(invalid);
+    const value = resolveValue(action.value ?? null, context);
+    setCaseField(action.field, value, context);
+    return { field: action.field, value };
+  },
+
+  assign(action, context) {
+    if (action.role) {
+      setCaseField('assignedTo', null, context);
+      setCaseField('metadata.assignedRole', action.role, context);
+      context.effects.events.push({
+        type: 'case.assignment.requested',
+        data: eventData(context, { role: action.role }),
+      });
+      return { role: action.role };
+    }
+
+    let userId = action.userId;
+    if (action.to === 'creator') userId = context.case.createdBy;
+    if (action.to === 'actor') userId = context.actorId;
+    if (action.to === 'none') userId = null;
+    if (userId === undefined) {
+      throw new Error('assign needs userId, role or to');
+    }
+
+    setCaseField('assignedTo', userId || null, context);
+    if (userId) {
+      context.effects.events.push({
+        type: 'case.assigned',
+        data: { caseId: context.case.id, assignedTo: userId },
+      });
+    }
+    return { assignedTo: userId || null };
+  },
+
+  publish(action, context) {
+    if (!action.event) throw new Error('publish needs an event name');
+    context.effects.events.push({ type: action.event, data: eventData(context, action.data) });
+    return { event: action.event };
+  },
+
+  createTask(action, context) {
+    if (!action.title) throw new Error('createTask needs a title');
+    const task = {
+      name: action.name || null,
+      title: action.title,
+      description: action.description || null,
+      origin: context.phase === 'tasks' ? 'state' : 'action',
+      required: action.required !== false,
+      subWorkflowId: action.workflow || null,
+      assignedTo: resolveValue(action.assignTo ?? null, context),
+      dueAt: action.due ? addDuration(context.now, action.due) : null,
+    };
+    context.effects.tasks.push(task);
+    return task;
+  },
+
+  startTimer(action, context) {
+    const dueAt =
+      action.calendar === 'business'
+        ? addBusinessDuration(context.now, action.duration, context.calendar)
+        : addDuration(context.now, action.duration);
+    if (!action.name || !dueAt) throw new Error('startTimer needs a name and a valid duration');
+    const timer = {
+      name: action.name,
+      state: context.state,
+      dueAt,
+      transition: action.transition || null,
+      event: action.event || null,
+    };
+    context.effects.timers.push(timer);
+    context.effects.events.push({
+      type: 'workflow.timer.started',
+      data: eventData(context, timer),
+    });
+    return timer;
+  },
+};
+
+export const ACTION_TYPES = Object.keys(ACTIONS);
+
+function runActions(actions, phase, state, context) {
+  for (const action of Array.isArray(actions) ? actions : []) {
+    const handler = ACTIONS[action?.type];
+    const base = { phase, state, type: action?.type };
+    try {
+      if (!handler) throw new Error(`Unknown action type '${action?.type}'`);
+      const details = handler(action, { ...context, state, phase });
+      context.effects.results.push({ ...base, status: 'done', ...details });
+    } catch (error) {
+      context.effects.results.push({ ...base, status: 'skipped', reason: error.message });
+    }
+  }
+}
+
+/**
+ * Resolve the onExit actions of the state a case leaves, then the onEnter
+ * actions, timers and tasks of the state it enters.
+ * The context carries the case, workflowId, actorId and the tenant's
+ * business calendar. Returns { results, caseChanges, events, timers, tasks }.
+ */
+export function resolveTransitionActions(definition, fromState, toState, context) {
+  const effects = { results: [], caseChanges: {}, events: [], timers: [], tasks: [] };
+  const actionContext = { now: new Date(), ...context, effects };
+
+  if (fromState) {
+    runActions(getStateConfig(definition, fromState).onExit, 'onExit', fromState, actionContext);
+  }
+  const target = getStateConfig(definition, toState);
+  runActions(target.onEnter, 'onEnter', toState, actionContext);
+  if (Array.isArray(target.timers)) {
+    const timers = target.timers.map(timer => ({ ...timer, type: 'startTimer' }));
+    runActions(timers, 'timers', toState, actionContext);
+  }
+  if (Array.isArray(target.tasks)) {
+    const tasks = target.tasks.map(task => ({ ...task, type: 'createTask' }));
+    runActions(tasks, 'tasks', toState, actionContext);
+  }
+
+  return effects;
+}
@@ -0,0 +1,321 @@
+/**
+ * Workflow Analytics
+ * Aggregates the WorkflowState history of a workflow (all of its versions)
+ * into time-in-state, transition and bottleneck reports
+ *
+ * Every non-vote WorkflowState row opens a stay in its currentState that
+ * lasts until the case's next non-vote row. Approval votes stay in the same
+ * state and are skipped. Migration rows re-enter the case's state in the new
+ * version, so they end one stay and open the next, but they are not counted
+ * as transitions.
+ *
+ * The history a merged duplicate brought along is reported as the
+ * duplicate's own. Reports only cover the cases of the requesting tenant and
+ * are aggregated in the database.
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import {
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import { getOutgoingTransitions, getStates } from './definition.service.js';
+import { getRootId, versionsWhere } from './version.service.js';
+import { parseDuration } from '../utils/duration.js';
+
+const DEFAULT_STUCK_THRESHOLD = '7d';
+const DEFAULT_STUCK_LIMIT = 100;
+
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Read the shared report filters of the tenant's request from a query string:
+ * caseType, from and to (ISO dates bounding when a stay or transition started)
+ */
+export function parseAnalyticsFilters(query = {}, tenantId) {
+  if (!tenantId) throw new UnauthorizedError('Tenant context is required');
+  const filters = {
+    tenantId,
+    caseType: query.caseType || null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+  };
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new ValidationError('from must be before to');
+  }
+  return filters;
+}
+
+async function loadWorkflowFamily(workflowId) {
+  const workflow = await prisma.workflow.findUnique({ where: { id: workflowId } });
+  if (!workflow) throw new NotFoundError('Workflow');
+
+  const versions = await prisma.workflow.findMany({
+    where: versionsWhere(getRootId(workflow)),
+    select: { id: true, version: true, definition: true },
+  });
+  return { workflow, versions };
+}
+
+/**
+ * SQL list of the ids of the workflow's versions
+ */
+function versionIds(versions) {
+  return Prisma.join(versions.map(version => Prisma.sql`${version.id}::uuid`));
+}
+
+/**
+ * SQL condition on cases c matching the filters
+ */
+function caseCondition(filters) {
+  return Prisma.sql`c.deleted_at IS NULL
+    AND c.tenant_id = ${filters.tenantId}::uuid
+    AND (${filters.caseType}::text IS NULL OR c.type = ${filters.caseType})`;
+}
+
+/**
+ * SQL condition on a timestamp falling between filters.from and filters.to
+ */
+function inRange(column, { from, to }) {
+  return Prisma.sql`(${from}::timestamp IS NULL OR ${column} >= ${from}::timestamp)
+    AND (${to}::timestamp IS NULL OR ${column} <= ${to}::timestamp)`;
+}
+
+/**
+ * SQL condition on workflow_states ws not being an approval vote, the rule
+ * of isVoteEntry
+ */
+const NOT_A_VOTE = Prisma.sql`(ws.state_data -> 'vote' IS NULL
+  OR ws.current_state IS DISTINCT FROM ws.previous_state)`;
+
+/**
+ * SQL common table expression "history": the non-vote rows of the matching
+ * cases in the workflow's versions, numbered per case oldest first, with the
+ * time the case's next row was written (left_at; for its latest row NULL, or
+ * when it was merged for a merged duplicate)
+ */
+function historyTable(versions, filters) {
+  return Prisma.sql`history AS (
+    SELECT
+      COALESCE(ws.merged_from_case_id, ws.case_id) AS case_id,
+      ws.current_state,
+      ws.previous_state,
+      ws.state_data,
+      ws.transitioned_at,
+      COALESCE(LEAD(ws.transitioned_at) OVER cases_history, duplicate.merged_at) AS left_at,
+      ROW_NUMBER() OVER cases_history AS seq
+    FROM workflow_states ws
+    JOIN cases c ON c.id = ws.case_id
+    LEFT JOIN cases duplicate ON duplicate.id = ws.merged_from_case_id
+    WHERE ws.workflow_id IN (${versionIds(versions)})
+      AND ${NOT_A_VOTE}
+      AND ${caseCondition(filters)}
+    WINDOW cases_history AS (
+      PARTITION BY COALESCE(ws.merged_from_case_id, ws.case_id)
+      ORDER BY ws.transitioned_at, ws.id
+    )
+  )`;
+}
+
+/**
+ * SQL common table expression "transitions": the history rows that moved a
+ * case between states within the date range, flagged as rework when the case
+ * had already been in the state it moved to
+ */
+function transitionTable(filters) {
+  return Prisma.sql`transitions AS (
+    SELECT
+      h.case_id,
+      h.previous_state AS "from",
+      h.current_state AS "to",
+      h.state_data ->> 'transition' AS transition,
+      EXISTS (
+        SELECT 1 FROM history earlier
+        WHERE earlier.case_id = h.case_id
+          AND earlier.seq < h.seq
+          AND h.current_state IN (earlier.current_state, earlier.previous_state)
+      ) AS rework
+    FROM history h
+    WHERE h.previous_state IS NOT NULL
+      AND h.state_data -> 'migration' IS NULL
+      AND ${inRange(Prisma.sql`h.transitioned_at`, filters)}
+  )`;
+}
+
+function milliseconds(value) {
+  return value === null ? null : Math.round(Number(value));
+}
+
+/**
+ * Average, median and p90 time spent in each state.
+ * Only finished stays count towards the statistics; stays still in
+ * progress are reported separately.
+ */
+export async function getTimeInState(workflowId, filters) {
+  const { workflow, versions } = await loadWorkflowFamily(workflowId);
+
+  const rows = await prisma.$queryRaw`
+    WITH ${historyTable(versions, filters)},
+    stays AS (
+      SELECT current_state, EXTRACT(EPOCH FROM left_at - transitioned_at) * 1000 AS ms
+      FROM history
+      WHERE ${inRange(Prisma.sql`transitioned_at`, filters)}
+    )
+    SELECT
+      current_state AS state,
+      COUNT(ms)::int AS count,
+      (COUNT(*) - COUNT(ms))::int AS "inProgress",
+      AVG(ms) AS "averageMs",
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ms) AS "medianMs",
+      PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY ms) AS "p90Ms"
+    FROM stays
+    GROUP BY current_state
+    ORDER BY current_state`;
+
+  const states = rows.map(row => ({
+    state: row.state,
+    count: row.count,
+    inProgress: row.inProgress,
+    averageMs: milliseconds(row.averageMs),
+    medianMs: milliseconds(row.medianMs),
+    p90Ms: milliseconds(row.p90Ms),
+  }));
+
+  return { workflowId: workflow.id, filters, states };
+}
+
+/**
+ * How often each transition is taken, and rework loops: transitions that
+ * send a case back to a state it has already been in
+ */
+export async function getTransitionReport(workflowId, filters) {
+  const { workflow, versions } = await loadWorkflowFamily(workflowId);
+  const tables = Prisma.sql`WITH ${historyTable(versions, filters)}, ${transitionTable(filters)}`;
+
+  const transitions = await prisma.$queryRaw`
+    ${tables}
+    SELECT "from", "to", transition, COUNT(*)::int AS count
+    FROM transitions
+    GROUP BY "from", "to", transition
+    ORDER BY count DESC`;
+  const loops = await prisma.$queryRaw`
+    ${tables}
+    SELECT "from", "to", COUNT(*)::int AS count, COUNT(DISTINCT case_id)::int AS cases
+    FROM transitions
+    WHERE rework
+    GROUP BY "from", "to"
+    ORDER BY count DESC`;
+  const [reworked] = await prisma.$queryRaw`
+    ${tables}
+    SELECT COUNT(DISTINCT case_id)::int AS cases FROM transitions WHERE rework`;
+
+  return {
+    workflowId: workflow.id,
+    filters,
+    total: transitions.reduce((sum, transition) => sum + transition.count, 0),
+    transitions,
+    rework: {
+      total: loops.reduce((sum, loop) => sum + loop.count, 0),
+      cases: reworked?.cases ?? 0,
+      loops,
+    },
+  };
+}
+
+/**
+ * Cases that have been in their current, non-final state for longer than a
+ * threshold (a duration such as '5d'), longest first.
+ * filters.from/to bound when the case entered that state.
+ */
+export async function getStuckCases(
+  workflowId,
+  filters,
+  { threshold = DEFAULT_STUCK_THRESHOLD, state, limit = DEFAULT_STUCK_LIMIT } = {}
+) {
+  const thresholdMs = parseDuration(threshold);
+  if (thresholdMs === null) {
+    throw new ValidationError(`threshold must be a duration such as '5d'`);
+  }
+  const take = Number(limit);
+  if (!Number.isInteger(take) || take < 1) {
+    throw new ValidationError('limit must be a positive whole number');
+  }
+
+  const { workflow, versions } = await loadWorkflowFamily(workflowId);
+  // The states of each version a case can still leave
+  const openStates = versions.flatMap(version =>
+    getStates(version.definition)
+      .filter(name => getOutgoingTransitions(version.definition, name).length > 0)
+      .filter(name => !state || name === state)
+      .map(name => Prisma.sql`(${version.id}::uuid, ${name}::text)`)
+  );
+  if (openStates.length === 0) {
+    return { workflowId: workflow.id, filters, threshold, thresholdMs, total: 0, cases: [] };
+  }
+
+  const now = new Date();
+  const enteredBefore = new Date(now.getTime() - thresholdMs);
+  // Before its first transition a case sits in its status since it was created
+  const rows = await prisma.$queryRaw`
+    WITH positions AS (
+      SELECT
+        c.id AS "caseId",
+        c.case_number AS "caseNumber",
+        c.title,
+        c.type,
+        c.priority,
+        c.assigned_to AS "assignedTo",
+        c.workflow_id,
+        COALESCE(latest.current_state, c.status) AS state,
+        COALESCE(latest.transitioned_at, c.created_at) AS "enteredAt"
+      FROM cases c
+      LEFT JOIN LATERAL (
+        SELECT ws.current_state, ws.transitioned_at
+        FROM workflow_states ws
+        WHERE ws.case_id = c.id
+          AND ws.workflow_id = c.workflow_id
+          AND ws.merged_from_case_id IS NULL
+          AND ${NOT_A_VOTE}
+        ORDER BY ws.transitioned_at DESC, ws.id DESC
+        LIMIT 1
+      ) latest ON TRUE
+      WHERE c.workflow_id IN (${versionIds(versions)}) AND ${caseCondition(filters)}
+    )
+    SELECT
+      "caseId", "caseNumber", title, type, priority, "assignedTo", state, "enteredAt",
+      COUNT(*) OVER ()::int AS total
+    FROM positions
+    WHERE (workflow_id, state) IN (VALUES ${Prisma.join(openStates)})
+      AND "enteredAt" < ${enteredBefore}
+      AND ${inRange(Prisma.sql`"enteredAt"`, filters)}
+    ORDER BY "enteredAt" ASC
+    LIMIT ${take}`;
+
+  return {
+    workflowId: workflow.id,
+    filters,
+    threshold,
+    thresholdMs,
+    total: rows[0]?.total ?? 0,
+    cases: rows.map(row => ({
+      caseId: row.caseId,
+      caseNumber: row.caseNumber,
+      title: row.title,
+      type: row.type,
+      priority: row.priority,
+      assignedTo: row.assignedTo,
+      state: row.state,
+      enteredAt: row.enteredAt,
+      dwellMs: now.getTime() - new Date(row.enteredAt).getTime(),
+    })),
+  };
+}
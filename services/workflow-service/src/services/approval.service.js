@@ -0,0 +1,282 @@
+/**
+ * Workflow Approvals
+ * Multi-party sign-off before a case can leave a workflow state
+ *
+ * Declared on a state in Workflow.definition:
+ * {
+ *   name: 'joint_review',
+ *   approval: {
+ *     voters: [
+ *       { name: 'legal', roles: ['legal_reviewer'] },
+ *       { name: 'finance', users: ['<user id>'], roles: ['finance_officer'] },
+ *     ],
+ *     rule: 'all',                  // 'all', 'any' or 'quorum' (N-of-M, with quorum: N)
+ *     unlocks: ['Approve'],         // defaults to every transition leaving the state
+ *     rejectTransition: 'Return',   // taken once the approval can no longer pass
+ *   }
+ * }
+ *
+ * Each vote is a WorkflowState row that stays in the state
+ * (currentState === previousState) with stateData.vote = { party, decision }.
+ * Only votes cast since the case last entered the state count, and the
+ * latest vote for each party replaces earlier ones.
+ */
+
+import prisma from '../config/database.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  UnauthorizedError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import Logger from '../../../shared/common/logger.js';
+import { getStateConfig } from './definition.service.js';
+import { fetchActorAccess } from './permission.service.js';
+import { loadCaseWorkflow, resolveCurrentState, transitionCase } from './transition.service.js';
+
+const logger = new Logger('workflow-service');
+
+export const APPROVAL_RULES = ['all', 'any', 'quorum'];
+export const VOTE_DECISIONS = ['approve', 'reject'];
+
+/**
+ * Get the approval a state requires, or null
+ */
+export function getApproval(definition, state) {
+  return getStateConfig(definition, state).approval || null;
+}
+
+/**
+ * Whether a WorkflowState row is an approval vote: one that stays in its
+ * state and carries stateData.vote
+ */
+export function isVoteEntry(entry) {
+  return Boolean(entry?.stateData?.vote) && entry.currentState === entry.previousState;
+}
+
+function requiredApprovals(approval) {
+  const parties = approval.voters.length;
+  if (approval.rule === 'any') return 1;
+  if (approval.rule === 'quorum') return Math.min(approval.quorum, parties);
+  return parties;
+}
+
+/**
+ * Tally votes (oldest first) against an approval.
+ * The approval is 'approved' once enough parties approve and 'rejected' once
+ * the parties still undecided can no longer make up the quorum.
+ */
+export function evaluateApproval(approval, votes) {
+  const decisions = new Map(votes.map(vote => [vote.party, vote]));
+  const parties = approval.voters.map(party => {
+    const vote = decisions.get(party.name);
+    return {
+      name: party.name,
+      decision: vote?.decision || null,
+      votedBy: vote?.votedBy || null,
+      votedAt: vote?.votedAt || null,
+    };
+  });
+
+  const approved = parties.filter(party => party.decision === 'approve').length;
+  const undecided = parties.filter(party => !party.decision).length;
+  const required = requiredApprovals(approval);
+
+  let status = 'pending';
+  if (approved >= required) status = 'approved';
+  else if (approved + undecided < required) status = 'rejected';
+
+  return { rule: approval.rule || 'all', required, approved, status, parties };
+}
+
+function isGatedTransition(approval, transition) {
+  if (transition.name === approval.rejectTransition) return false;
+  return Array.isArray(approval.unlocks) ? approval.unlocks.includes(transition.name) : true;
+}
+
+/**
+ * Check whether an approval still holds back a transition.
+ * Returns failures shaped like guard failures; an empty list means the transition is unlocked.
+ */
+export function checkApproval(approval, summary, transition) {
+  if (!approval || !isGatedTransition(approval, transition) || summary.status === 'approved') {
+    return [];
+  }
+  return [
+    {
+      code: 'APPROVAL_PENDING',
+      message: `Transition '${transition.name}' needs approval: ${summary.approved} of ${summary.required} required approvals so far`,
+    },
+  ];
+}
+
+/**
+ * Load the votes cast since the case last entered its current state, oldest first
+ */
+export async function loadApprovalVotes(client, caseId, workflowId) {
+  const history = await client.workflowState.findMany({
+    where: { caseId, workflowId, mergedFromCaseId: null },
+    orderBy: { transitionedAt: 'desc' },
+  });
+
+  const votes = [];
+  for (const entry of history) {
+    if (!isVoteEntry(entry)) break;
+    votes.unshift({
+      party: entry.stateData.vote.party,
+      decision: entry.stateData.vote.decision,
+      votedBy: entry.transitionedBy,
+      votedAt: entry.transitionedAt,
+    });
+  }
+  return votes;
+}
+
+/**
+ * Work out the party a vote is cast for. Users who belong to several
+ * parties must name the one they are voting for, and can only vote for one
+ * party while the case stays in the state: once they have voted, they can
+ * change their vote but not vote again for another party.
+ */
+export function resolveVoterParty(approval, actorId, actor, party, votes = []) {
+  const eligible = approval.voters.filter(
+    voter =>
+      (voter.users || []).includes(actorId) ||
+      (voter.roles || []).some(role => actor?.roles.includes(role))
+  );
+  const votedFor = votes.find(vote => vote.votedBy === actorId)?.party;
+
+  if (party) {
+    if (!eligible.some(voter => voter.name === party)) {
+      throw new ForbiddenError(`You cannot vote for '${party}'`);
+    }
+    if (votedFor && votedFor !== party) {
+      throw new ConflictError(`You have already voted for '${votedFor}'`);
+    }
+    return party;
+  }
+
+  if (eligible.length === 0) {
+    throw new ForbiddenError('You are not a voter for this approval');
+  }
+  if (votedFor && eligible.some(voter => voter.name === votedFor)) return votedFor;
+  if (eligible.length > 1) {
+    throw new ValidationError(
+      `party is required; you can vote for ${eligible.map(voter => `'${voter.name}'`).join(', ')}`
+    );
+  }
+  return eligible[0].name;
+}
+
+/**
+ * Get the approval status of a case in its current state
+ */
+export async function getApprovalStatus(caseId, workflowId) {
+  const { case_, workflow } = await loadCaseWorkflow(prisma, caseId, workflowId);
+  const state = await resolveCurrentState(prisma, case_, workflow);
+  const approval = getApproval(workflow.definition, state);
+
+  return {
+    caseId: case_.id,
+    workflowId: workflow.id,
+    state,
+    approval: approval
+      ? evaluateApproval(approval, await loadApprovalVotes(prisma, case_.id, workflow.id))
+      : null,
+  };
+}
+
+/**
+ * Record a vote on the approval of a case's current state.
+ * Returns { vote, state, workflowId, approval, rejectTransition }, where
+ * rejectTransition is the transition the case should now take (the vote made
+ * the approval fail and the state names one), or null. The vote is committed
+ * on its own; the caller publishes its events and then takes the rejection
+ * with takeRejectTransition.
+ */
+export async function castVote({ caseId, workflowId, actorId, decision, party, comment }) {
+  if (!actorId) throw new UnauthorizedError('Voting requires an authenticated user');
+  if (!VOTE_DECISIONS.includes(decision)) {
+    throw new ValidationError(`decision must be one of ${VOTE_DECISIONS.join(', ')}`);
+  }
+
+  // Role membership comes from the rbac-service, so it is fetched before the case is locked
+  const preloaded = await loadCaseWorkflow(prisma, caseId, workflowId);
+  const preState = await resolveCurrentState(prisma, preloaded.case_, preloaded.workflow);
+  const needsRoles = (getApproval(preloaded.workflow.definition, preState)?.voters || []).some(
+    voter => voter.roles?.length
+  );
+  const actor = needsRoles ? await fetchActorAccess(actorId, preloaded.case_.tenantId) : null;
+
+  return prisma.$transaction(async tx => {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+
+    const { case_, workflow } = await loadCaseWorkflow(tx, caseId, workflowId);
+    const state = await resolveCurrentState(tx, case_, workflow);
+    const approval = getApproval(workflow.definition, state);
+    if (!approval) {
+      throw new ValidationError(`State '${state}' does not collect approval votes`);
+    }
+
+    const votes = await loadApprovalVotes(tx, caseId, workflow.id);
+    const votedFor = resolveVoterParty(approval, actorId, actor, party, votes);
+    const before = evaluateApproval(approval, votes);
+    if (before.status !== 'pending') {
+      throw new ConflictError(`Approval of state '${state}' is already ${before.status}`);
+    }
+
+    const vote = await tx.workflowState.create({
+      data: {
+        caseId,
+        workflowId: workflow.id,
+        currentState: state,
+        previousState: state,
+        transitionedBy: actorId,
+        transitionNotes: comment || null,
+        stateData: { vote: { party: votedFor, decision } },
+      },
+    });
+
+    const summary = evaluateApproval(approval, [
+      ...votes,
+      { party: votedFor, decision, votedBy: actorId, votedAt: vote.transitionedAt },
+    ]);
+
+    return {
+      vote,
+      state,
+      workflowId: workflow.id,
+      approval: summary,
+      rejectTransition: summary.status === 'rejected' ? approval.rejectTransition || null : null,
+    };
+  });
+}
+
+/**
+ * Move a case whose approval was rejected along the state's rejectTransition,
+ * as the system actor. The vote that rejected it is already committed, so a
+ * failure (the case moved on meanwhile, or a guard blocks the transition) is
+ * logged and returned as { rejection: null, error } rather than thrown; the
+ * case then waits in the state for a user to move it.
+ */
+export async function takeRejectTransition({ caseId, workflowId, state, rejectTransition }) {
+  try {
+    const rejection = await transitionCase({
+      caseId,
+      workflowId,
+      transition: rejectTransition,
+      fromState: state,
+      notes: 'Approval rejected',
+      stateData: { approval: { status: 'rejected' } },
+      system: true,
+    });
+    return { rejection, error: null };
+  } catch (error) {
+    logger.error('Approval reject transition failed', {
+      caseId,
+      transition: rejectTransition,
+      error: error.message,
+    });
+    return { rejection: null, error: error.message };
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Workflow Bindings
+ * Tenant rules that pick the workflow a new case starts on from its type
+ * and, optionally, its priority
+ *
+ * A binding for the case's type and priority wins over one for the type
+ * alone (priority null). Cases matching no binding start on the tenant's
+ * default workflow (Workflow.isDefault), if it has one. Bindings point at
+ * the first version of a workflow; cases always start on the latest one.
+ */
+
+import prisma from '../config/database.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+import { getLatestVersion, getRootId } from './version.service.js';
+
+/**
+ * List bindings by case type, the ones naming a priority first
+ */
+export async function listBindings({ tenantId, caseType } = {}) {
+  return prisma.workflowBinding.findMany({
+    where: {
+      ...(tenantId && { tenantId }),
+      ...(caseType && { caseType }),
+    },
+    include: { workflow: true },
+    orderBy: [{ caseType: 'asc' }, { priority: { sort: 'asc', nulls: 'last' } }],
+  });
+}
+
+async function loadBindableWorkflow(client, workflowId, tenantId) {
+  const workflow = await client.workflow.findUnique({ where: { id: workflowId } });
+  if (!workflow) throw new NotFoundError('Workflow');
+  if (workflow.tenantId !== tenantId) {
+    throw new ValidationError('workflowId must belong to the binding tenant');
+  }
+  return workflow;
+}
+
+async function assertUniqueRule(client, { tenantId, caseType, priority }, exceptId = null) {
+  const existing = await client.workflowBinding.findFirst({
+    where: {
+      tenantId,
+      caseType,
+      priority: priority ?? null,
+      ...(exceptId && { id: { not: exceptId } }),
+    },
+  });
+  if (existing) throw ruleConflict({ caseType, priority });
+}
+
+function ruleConflict({ caseType, priority }) {
+  const rule = priority ? `type '${caseType}' and priority '${priority}'` : `type '${caseType}'`;
+  return new ConflictError(`A workflow is already bound to cases of ${rule}`);
+}
+
+/**
+ * Write a binding; a rule bound concurrently since assertUniqueRule checked
+ * it trips the unique index and is reported the same way
+ */
+async function saveRule(rule, write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code === 'P2002') throw ruleConflict(rule);
+    throw error;
+  }
+}
+
+/**
+ * Bind a workflow to a case type (and optionally a priority)
+ */
+export async function createBinding({ tenantId, caseType, priority, workflowId, isActive }) {
+  if (!tenantId || !caseType || !workflowId) {
+    throw new ValidationError('tenantId, caseType and workflowId are required');
+  }
+
+  const workflow = await loadBindableWorkflow(prisma, workflowId, tenantId);
+  await assertUniqueRule(prisma, { tenantId, caseType, priority });
+
+  return saveRule({ caseType, priority }, () =>
+    prisma.workflowBinding.create({
+      data: {
+        tenantId,
+        caseType,
+        priority: priority || null,
+        workflowId: getRootId(workflow),
+        ...(isActive !== undefined && { isActive: Boolean(isActive) }),
+      },
+      include: { workflow: true },
+    })
+  );
+}
+
+/**
+ * Change the rule, workflow or active flag of a binding
+ */
+export async function updateBinding(id, changes) {
+  const binding = await prisma.workflowBinding.findUnique({ where: { id } });
+  if (!binding) throw new NotFoundError('Workflow binding');
+
+  const data = {};
+  if (changes.caseType !== undefined) {
+    if (!changes.caseType) throw new ValidationError('caseType cannot be empty');
+    data.caseType = changes.caseType;
+  }
+  if (changes.priority !== undefined) data.priority = changes.priority || null;
+  if (changes.isActive !== undefined) data.isActive = Boolean(changes.isActive);
+  if (changes.workflowId !== undefined) {
+    const workflow = await loadBindableWorkflow(prisma, changes.workflowId, binding.tenantId);
+    data.workflowId = getRootId(workflow);
+  }
+
+  const rule = { ...binding, ...data };
+  await assertUniqueRule(prisma, rule, id);
+
+  return saveRule(rule, () =>
+    prisma.workflowBinding.update({
+      where: { id },
+      data,
+      include: { workflow: true },
+    })
+  );
+}
+
+export async function deleteBinding(id) {
+  const binding = await prisma.workflowBinding.findUnique({ where: { id } });
+  if (!binding) throw new NotFoundError('Workflow binding');
+  await prisma.workflowBinding.delete({ where: { id } });
+}
+
+/**
+ * Pick the workflow a case starts on.
+ * Returns { workflow, binding } with the latest version of the workflow, or
+ * null when nothing applies. Bindings whose workflow is inactive are passed over.
+ */
+export async function resolveCaseWorkflow(client, case_) {
+  const bindings = await client.workflowBinding.findMany({
+    where: {
+      tenantId: case_.tenantId,
+      caseType: case_.type,
+      isActive: true,
+      OR: [{ priority: case_.priority }, { priority: null }],
+    },
+  });
+  // Bindings naming the case's priority come before type-only ones
+  bindings.sort((a, b) => Number(a.priority === null) - Number(b.priority === null));
+
+  for (const binding of bindings) {
+    const bound = await client.workflow.findUnique({ where: { id: binding.workflowId } });
+    if (!bound) continue;
+    const workflow = await getLatestVersion(client, bound);
+    if (workflow.isActive) return { workflow, binding };
+  }
+
+  const fallback = await client.workflow.findFirst({
+    where: { tenantId: case_.tenantId, isDefault: true, isLatest: true, isActive: true },
+    orderBy: { createdAt: 'desc' },
+  });
+  return fallback ? { workflow: fallback, binding: null } : null;
+}
@@ -0,0 +1,79 @@
+/**
+ * Workflow Definition Helpers
+ * Pure functions for reading states and transitions out of Workflow.definition
+ *
+ * Definition shape:
+ * {
+ *   states: ['open', 'in_progress', { name: 'resolved', onEnter: [...] }, ...],
+ *   initialState: 'open',
+ *   transitions: [{ from: 'open', to: 'in_progress', name: 'Start Work' }, ...]
+ * }
+ *
+ * A state is either its name or an object with a name and state-level settings.
+ */
+
+/**
+ * Get the name of a state entry
+ */
+export function getStateName(entry) {
+  return typeof entry === 'string' ? entry : entry?.name;
+}
+
+/**
+ * Get the list of state names declared by a definition
+ */
+export function getStates(definition) {
+  return Array.isArray(definition?.states) ? definition.states.map(getStateName) : [];
+}
+
+/**
+ * Get the settings of a state; a state declared by name only has none
+ */
+export function getStateConfig(definition, state) {
+  const entry = (Array.isArray(definition?.states) ? definition.states : []).find(
+    e => getStateName(e) === state
+  );
+  return entry && typeof entry === 'object' ? entry : { name: state };
+}
+
+/**
+ * Get the list of transitions declared by a definition
+ */
+export function getTransitions(definition) {
+  return Array.isArray(definition?.transitions) ? definition.transitions : [];
+}
+
+/**
+ * Get the state a case starts in when it enters the workflow
+ */
+export function getInitialState(definition) {
+  return definition?.initialState || getStates(definition)[0] || null;
+}
+
+/**
+ * Check whether a state is declared by the definition
+ */
+export function hasState(definition, state) {
+  return getStates(definition).includes(state);
+}
+
+/**
+ * Get all transitions leaving a state
+ */
+export function getOutgoingTransitions(definition, state) {
+  return getTransitions(definition).filter(t => t.from === state);
+}
+
+/**
+ * Find the transition matching a request from the given state.
+ * A request names the transition, the target state, or both.
+ */
+export function findTransition(definition, fromState, { transition, toState } = {}) {
+  return (
+    getOutgoingTransitions(definition, fromState).find(t => {
+      if (transition && t.name !== transition) return false;
+      if (toState && t.to !== toState) return false;
+      return Boolean(transition || toState);
+    }) || null
+  );
+}
@@ -0,0 +1,253 @@
+/**
+ * Workflow Diagrams
+ * Renders the states and named transitions of a workflow definition as
+ * Mermaid, Graphviz DOT or BPMN 2.0 XML
+ *
+ * States are given generated ids (s0, s1, ...) so any state name can be
+ * rendered; the name is used as the label. Passing currentState highlights
+ * that state.
+ */
+
+import {
+  getInitialState,
+  getOutgoingTransitions,
+  getStates,
+  getTransitions,
+} from './definition.service.js';
+
+const HIGHLIGHT_FILL = '#ffd54f';
+const HIGHLIGHT_STROKE = '#f57f17';
+
+function describeGraph(definition) {
+  const states = getStates(definition);
+  const ids = new Map(states.map((state, index) => [state, `s${index}`]));
+  const transitions = getTransitions(definition).filter(t => ids.has(t.from) && ids.has(t.to));
+  const initialState = getInitialState(definition);
+
+  return {
+    states,
+    ids,
+    transitions,
+    initialState: ids.has(initialState) ? initialState : null,
+    terminal: states.filter(state => !transitions.some(t => t.from === state)),
+  };
+}
+
+function mermaidText(value) {
+  return String(value).replace(/"/g, '#quot;').replace(/:/g, '#58;').replace(/\n/g, ' ');
+}
+
+function renderMermaid(definition, { currentState } = {}) {
+  const graph = describeGraph(definition);
+  const lines = ['stateDiagram-v2'];
+
+  for (const state of graph.states) {
+    lines.push(`  state "${mermaidText(state)}" as ${graph.ids.get(state)}`);
+  }
+  if (graph.initialState) {
+    lines.push(`  [*] --> ${graph.ids.get(graph.initialState)}`);
+  }
+  for (const t of graph.transitions) {
+    lines.push(`  ${graph.ids.get(t.from)} --> ${graph.ids.get(t.to)} : ${mermaidText(t.name)}`);
+  }
+  for (const state of graph.terminal) {
+    lines.push(`  ${graph.ids.get(state)} --> [*]`);
+  }
+  if (graph.ids.has(currentState)) {
+    lines.push(
+      `  classDef current fill:${HIGHLIGHT_FILL},stroke:${HIGHLIGHT_STROKE},stroke-width:2px`
+    );
+    lines.push(`  class ${graph.ids.get(currentState)} current`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function dotText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function renderDot(definition, { currentState } = {}) {
+  const graph = describeGraph(definition);
+  const lines = [
+    'digraph workflow {',
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded];',
+    '  __start [shape=point, label=""];',
+  ];
+
+  for (const state of graph.states) {
+    const attributes = [`label="${dotText(state)}"`];
+    if (graph.terminal.includes(state)) attributes.push('peripheries=2');
+    if (state === currentState) {
+      attributes.push(
+        'style="rounded,filled"',
+        `fillcolor="${HIGHLIGHT_FILL}"`,
+        `color="${HIGHLIGHT_STROKE}"`,
+        'penwidth=2'
+      );
+    }
+    lines.push(`  ${graph.ids.get(state)} [${attributes.join(', ')}];`);
+  }
+  if (graph.initialState) {
+    lines.push(`  __start -> ${graph.ids.get(graph.initialState)};`);
+  }
+  for (const t of graph.transitions) {
+    lines.push(
+      `  ${graph.ids.get(t.from)} -> ${graph.ids.get(t.to)} [label="${dotText(t.name)}"];`
+    );
+  }
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+function xmlText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const BPMN_SIZE = {
+  event: { width: 36, height: 36 },
+  task: { width: 100, height: 80 },
+  gateway: { width: 50, height: 50 },
+};
+const COLUMN_WIDTH = 200;
+const ROW_HEIGHT = 130;
+
+/**
+ * Place states in columns by their distance from the initial state
+ */
+function layoutColumns(graph) {
+  const depth = new Map();
+  if (graph.initialState) {
+    depth.set(graph.initialState, 0);
+    const queue = [graph.initialState];
+    while (queue.length > 0) {
+      const state = queue.shift();
+      for (const t of graph.transitions.filter(tr => tr.from === state)) {
+        if (!depth.has(t.to)) {
+          depth.set(t.to, depth.get(state) + 1);
+          queue.push(t.to);
+        }
+      }
+    }
+  }
+
+  const unreached = Math.max(0, ...depth.values()) + 1;
+  const rows = new Map();
+  const positions = new Map();
+  for (const state of graph.states) {
+    const column = depth.has(state) ? depth.get(state) : unreached;
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    positions.set(state, { x: 150 + column * COLUMN_WIDTH, y: 80 + row * ROW_HEIGHT });
+  }
+  return { positions, lastColumn: Math.max(0, ...rows.keys()) };
+}
+
+function renderBpmn(definition, { currentState, name = 'Workflow' } = {}) {
+  const graph = describeGraph(definition);
+  const { positions, lastColumn } = layoutColumns(graph);
+  const elements = [];
+  const flows = [];
+  const shapes = new Map();
+
+  const addShape = (id, kind, x, y) => shapes.set(id, { kind, x, y, ...BPMN_SIZE[kind] });
+  const addFlow = (from, to, label) => flows.push({ id: `f${flows.length}`, from, to, label });
+
+  addShape('start', 'event', 40, 80 + (BPMN_SIZE.task.height - BPMN_SIZE.event.height) / 2);
+  elements.push('<bpmn:startEvent id="start" />');
+  if (graph.initialState) addFlow('start', graph.ids.get(graph.initialState));
+
+  if (graph.terminal.length > 0) {
+    addShape('end', 'event', 150 + (lastColumn + 1) * COLUMN_WIDTH, 80 + 22);
+    elements.push('<bpmn:endEvent id="end" />');
+  }
+
+  for (const state of graph.states) {
+    const id = graph.ids.get(state);
+    const { x, y } = positions.get(state);
+    addShape(id, 'task', x, y);
+    elements.push(`<bpmn:userTask id="${id}" name="${xmlText(state)}" />`);
+
+    const outgoing = getOutgoingTransitions(definition, state).filter(t => graph.ids.has(t.to));
+    if (outgoing.length === 0) {
+      addFlow(id, 'end');
+    } else if (outgoing.length === 1) {
+      addFlow(id, graph.ids.get(outgoing[0].to), outgoing[0].name);
+    } else {
+      // Branching states hand over to an exclusive gateway, one flow per transition
+      const gateway = `${id}_gateway`;
+      addShape(gateway, 'gateway', x + BPMN_SIZE.task.width + 25, y + 15);
+      elements.push(`<bpmn:exclusiveGateway id="${gateway}" />`);
+      addFlow(id, gateway);
+      for (const t of outgoing) addFlow(gateway, graph.ids.get(t.to), t.name);
+    }
+  }
+
+  const flowXml = flows.map(flow => {
+    const label = flow.label ? ` name="${xmlText(flow.label)}"` : '';
+    return `<bpmn:sequenceFlow id="${flow.id}" sourceRef="${flow.from}" targetRef="${flow.to}"${label} />`;
+  });
+
+  const shapeXml = [...shapes].map(([id, shape]) => {
+    const highlight =
+      shape.kind === 'task' && id === graph.ids.get(currentState)
+        ? ` color:background-color="${HIGHLIGHT_FILL}" color:border-color="${HIGHLIGHT_STROKE}"`
+        : '';
+    return [
+      `<bpmndi:BPMNShape id="${id}_di" bpmnElement="${id}"${highlight}>`,
+      `  <dc:Bounds x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" />`,
+      '</bpmndi:BPMNShape>',
+    ].join('\n');
+  });
+
+  const edgeXml = flows.map(flow => {
+    const source = shapes.get(flow.from);
+    const target = shapes.get(flow.to);
+    return [
+      `<bpmndi:BPMNEdge id="${flow.id}_di" bpmnElement="${flow.id}">`,
+      `  <di:waypoint x="${source.x + source.width}" y="${source.y + source.height / 2}" />`,
+      `  <di:waypoint x="${target.x}" y="${target.y + target.height / 2}" />`,
+      '</bpmndi:BPMNEdge>',
+    ].join('\n');
+  });
+
+  const indent = (lines, depth) =>
+    lines
+      .join('\n')
+      .split('\n')
+      .map(line => `${' '.repeat(depth)}${line}`)
+      .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" xmlns:di="http://www.omg.org/spec/DD/20100524/DI" xmlns:color="http://www.omg.org/spec/BPMN/non-normative/color/1.0" id="definitions" targetNamespace="http://iacms/workflows">
+  <bpmn:process id="process" name="${xmlText(name)}" isExecutable="false">
+${indent([...elements, ...flowXml], 4)}
+  </bpmn:process>
+  <bpmndi:BPMNDiagram id="diagram">
+    <bpmndi:BPMNPlane id="plane" bpmnElement="process">
+${indent([...shapeXml, ...edgeXml], 6)}
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>
+`;
+}
+
+export const DIAGRAM_FORMATS = {
+  mermaid: { contentType: 'text/plain', render: renderMermaid },
+  dot: { contentType: 'text/vnd.graphviz', render: renderDot },
+  bpmn: { contentType: 'application/xml', render: renderBpmn },
+};
+
+/**
+ * Render a workflow definition in one of the DIAGRAM_FORMATS.
+ * Options: currentState to highlight, name for the BPMN process.
+ */
+export function renderDiagram(definition, format, options = {}) {
+  return DIAGRAM_FORMATS[format].render(definition, options);
+}
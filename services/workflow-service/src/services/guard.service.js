@@ -0,0 +1,86 @@
+/**
+ * Workflow Transition Guards
+ * Declarative conditions a case must meet before a transition can fire
+ *
+ * Guards are declared on a transition in Workflow.definition:
+ * {
+ *   from: 'under_review', to: 'resolved', name: 'Approve',
+ *   guards: [
+ *     { type: 'requiredMetadata', key: 'resolutionSummary' },
+ *     { type: 'minAttachments', count: 1, message: 'Attach the signed resolution' },
+ *   ]
+ * }
+ */
+
+function isBlank(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Read a dotted path (e.g. 'subject.nationalId') from an object
+ */
+function getPath(source, path) {
+  return String(path)
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Guard evaluators keyed by guard type.
+ * Each returns a default failure message, or null when the guard passes.
+ */
+const GUARDS = {
+  requiredField: (guard, context) =>
+    isBlank(context.case?.[guard.field]) ? `Case field '${guard.field}' is required` : null,
+
+  requiredMetadata: (guard, context) =>
+    isBlank(getPath(context.case?.metadata || {}, guard.key))
+      ? `Case metadata '${guard.key}' is required`
+      : null,
+
+  minAttachments: (guard, context) => {
+    const count = guard.count ?? 1;
+    return (context.attachmentCount || 0) < count
+      ? `At least ${count} attachment${count === 1 ? '' : 's'} required`
+      : null;
+  },
+
+  assigneePresent: (guard, context) =>
+    context.case?.assignedTo ? null : 'Case must be assigned before this transition',
+};
+
+export const GUARD_TYPES = Object.keys(GUARDS);
+
+/**
+ * Check whether any guard in the list needs the case's attachment count
+ */
+export function needsAttachmentCount(guards = []) {
+  return guards.some(guard => guard.type === 'minAttachments');
+}
+
+/**
+ * Evaluate a transition's guards against a case context.
+ * Returns one failure per guard that did not pass; an empty list means the
+ * transition may fire.
+ */
+export function evaluateGuards(guards = [], context = {}) {
+  const failures = [];
+
+  for (const guard of guards) {
+    const evaluate = GUARDS[guard.type];
+    const failure = evaluate ? evaluate(guard, context) : `Unknown guard type '${guard.type}'`;
+
+    if (failure) {
+      failures.push({
+        code: 'GUARD_FAILED',
+        guard: guard.type,
+        message: guard.message || failure,
+      });
+    }
+  }
+
+  return failures;
+}
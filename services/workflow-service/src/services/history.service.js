@@ -0,0 +1,55 @@
+/**
+ * Case History
+ * Records the case fields a workflow changes (status, workflow and the
+ * fields set by actions) in case_history, the same way case updates made
+ * through the case-service are recorded
+ *
+ * Each update records one row for every field it actually changes; the rows
+ * of one update share a changeSetId. Values are stored as JSON, with dates as
+ * ISO strings.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Prisma } from '@prisma/client';
+
+function historyValue(value) {
+  return value instanceof Date ? value.toISOString() : (value ?? null);
+}
+
+function jsonValue(value) {
+  return value === null ? Prisma.DbNull : value;
+}
+
+/**
+ * Update a case inside a transaction that has already locked it and loaded
+ * it as case_, and record the fields that changed.
+ * Returns the updated case.
+ */
+export async function updateCaseWithHistory(tx, case_, data, actorId) {
+  const updated = await tx.case.update({ where: { id: case_.id }, data });
+
+  const changes = Object.keys(data)
+    .filter(field => data[field] !== undefined && Object.hasOwn(case_, field))
+    .map(field => ({
+      field,
+      from: historyValue(case_[field]),
+      to: historyValue(updated[field]),
+    }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+  if (changes.length > 0) {
+    const changeSetId = randomUUID();
+    await tx.caseHistory.createMany({
+      data: changes.map(change => ({
+        caseId: case_.id,
+        tenantId: case_.tenantId,
+        changeSetId,
+        field: change.field,
+        oldValue: jsonValue(change.from),
+        newValue: jsonValue(change.to),
+        changedBy: actorId || null,
+        changedAt: updated.updatedAt,
+      })),
+    });
+  }
+  return updated;
+}
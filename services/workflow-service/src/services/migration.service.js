@@ -0,0 +1,178 @@
+/**
+ * Workflow Case Migration
+ * Moves in-flight cases from one version of a workflow to another
+ *
+ * A migrated case enters its state in the new version like any other state:
+ * the timers and tasks of the old stay are cancelled and the new state's
+ * onEnter actions run and its timers and tasks are created.
+ */
+
+import prisma from '../config/database.js';
+import { NotFoundError, ValidationError } from '../../../shared/common/errors.js';
+import { hasState } from './definition.service.js';
+import { updateCaseWithHistory } from './history.service.js';
+import { resolveTransitionActions } from './action.service.js';
+import { cancelStateTasks, createTasks } from './task.service.js';
+import { cancelPendingTimers, scheduleTimers } from './timer.service.js';
+import { loadBusinessCalendar, resolveCurrentState } from './transition.service.js';
+import { getRootId } from './version.service.js';
+
+/**
+ * Work out what migrating one case onto the target version would do
+ */
+async function planCaseMigration(client, caseId, case_, target, stateMapping) {
+  if (!case_) {
+    return { caseId, status: 'error', reason: 'Case not found' };
+  }
+
+  const source = case_.workflow;
+  if (!source || getRootId(source) !== getRootId(target)) {
+    return { caseId, status: 'error', reason: 'Case is not running a version of this workflow' };
+  }
+
+  if (source.id === target.id) {
+    return { caseId, status: 'skipped', reason: `Case is already on version ${target.version}` };
+  }
+
+  const fromState = await resolveCurrentState(client, case_, source);
+  const toState = stateMapping[fromState] || fromState;
+  const plan = {
+    caseId,
+    caseNumber: case_.caseNumber,
+    fromWorkflowId: source.id,
+    fromVersion: source.version,
+    toVersion: target.version,
+    fromState,
+    toState,
+  };
+
+  if (!hasState(target.definition, toState)) {
+    return {
+      ...plan,
+      status: 'error',
+      reason: `State '${toState}' does not exist in version ${target.version}; map it in stateMapping`,
+    };
+  }
+
+  return { ...plan, status: 'ready' };
+}
+
+/**
+ * Migrate one case. The case row is locked and the plan made again inside
+ * the transaction, so a transition committed since the dry plan is not
+ * overwritten.
+ * Returns the case's result with the events to publish after commit.
+ */
+async function applyCaseMigration(caseId, target, stateMapping, actorId) {
+  return prisma.$transaction(async tx => {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+    const case_ = await tx.case.findFirst({
+      where: { id: caseId, deletedAt: null },
+      include: { workflow: true },
+    });
+    const plan = await planCaseMigration(tx, caseId, case_, target, stateMapping);
+    if (plan.status !== 'ready') return plan;
+
+    const actions = resolveTransitionActions(target.definition, null, plan.toState, {
+      case: case_,
+      workflowId: target.id,
+      actorId: actorId || null,
+      calendar: await loadBusinessCalendar(tx, case_.tenantId),
+    });
+    await updateCaseWithHistory(
+      tx,
+      case_,
+      { ...actions.caseChanges, workflowId: target.id, status: plan.toState },
+      actorId
+    );
+
+    const state = await tx.workflowState.create({
+      data: {
+        caseId,
+        workflowId: target.id,
+        currentState: plan.toState,
+        previousState: plan.fromState,
+        transitionedBy: actorId || null,
+        transitionNotes: `Migrated from version ${plan.fromVersion} to version ${plan.toVersion}`,
+        stateData: {
+          migration: {
+            fromWorkflowId: plan.fromWorkflowId,
+            fromVersion: plan.fromVersion,
+            toVersion: plan.toVersion,
+          },
+          ...(actions.results.length > 0 && { actions: actions.results }),
+        },
+      },
+    });
+
+    await cancelPendingTimers(tx, caseId);
+    await scheduleTimers(tx, state, actions.timers);
+    await cancelStateTasks(tx, caseId);
+    const spawned = await createTasks(tx, state, actions.tasks, {
+      tenantId: case_.tenantId,
+      actorId: actorId || null,
+    });
+
+    return { ...plan, status: 'migrated', events: [...actions.events, ...spawned.events] };
+  });
+}
+
+/**
+ * Migrate cases onto a target workflow version.
+ * Each case keeps its current state name unless stateMapping ({ oldState: newState })
+ * says otherwise. With dryRun (the default) nothing is written and the report
+ * shows what would happen to each case.
+ * Returns the report and, apart from it, the events of the migrated cases'
+ * actions and tasks for the caller to publish.
+ */
+export async function migrateCases(
+  targetId,
+  { caseIds, stateMapping = {}, dryRun = true, actorId }
+) {
+  if (!Array.isArray(caseIds) || caseIds.length === 0) {
+    throw new ValidationError('caseIds must be a non-empty array');
+  }
+
+  const target = await prisma.workflow.findUnique({ where: { id: targetId } });
+  if (!target) throw new NotFoundError('Workflow');
+
+  const cases = await prisma.case.findMany({
+    where: { id: { in: caseIds }, deletedAt: null },
+    include: { workflow: true },
+  });
+  const casesById = new Map(cases.map(c => [c.id, c]));
+
+  const results = [];
+  const events = [];
+  for (const caseId of caseIds) {
+    const plan = await planCaseMigration(
+      prisma,
+      caseId,
+      casesById.get(caseId),
+      target,
+      stateMapping
+    );
+    if (dryRun || plan.status !== 'ready') {
+      results.push(plan);
+      continue;
+    }
+    const { events: caseEvents = [], ...result } = await applyCaseMigration(
+      caseId,
+      target,
+      stateMapping,
+      actorId
+    );
+    results.push(result);
+    events.push(...caseEvents);
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    report: { workflowId: target.id, version: target.version, dryRun, summary, results },
+    events,
+  };
+}
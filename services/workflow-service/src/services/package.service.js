@@ -0,0 +1,360 @@
+/**
+ * Workflow Packages
+ * Portable JSON/YAML exports of a workflow that another tenant can import
+ *
+ * A package carries the definition, the version it was exported from and
+ * the role names, permission keys, user ids and task sub-workflow ids the
+ * definition refers to. Roles, users and workflows belong to a tenant, so an
+ * import can remap them (roleMapping / userMapping / workflowMapping:
+ * { '<exported>': '<target>' }). Anything that does not exist in the target
+ * tenant is reported as unresolved, and the workflow is only created once the
+ * definition is valid and every reference resolves.
+ */
+
+import YAML from 'yaml';
+import prisma from '../config/database.js';
+import {
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import { getRootId } from './version.service.js';
+import { fetchPermissionKeys, fetchTenantRoleNames } from './permission.service.js';
+import { validateDefinition } from '../utils/definition.validator.js';
+
+export const PACKAGE_KIND = 'iacms.workflow';
+export const PACKAGE_VERSION = 1;
+
+export const PACKAGE_FORMATS = {
+  json: {
+    contentType: 'application/json',
+    serialize: pkg => `${JSON.stringify(pkg, null, 2)}\n`,
+  },
+  yaml: {
+    contentType: 'application/yaml',
+    serialize: pkg => YAML.stringify(pkg),
+  },
+};
+
+const ACTION_PHASES = ['onEnter', 'onExit'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isPlaceholder(value) {
+  return typeof value === 'string' && value.startsWith('$');
+}
+
+function mapTaskReferences(task, path, { user, workflow }) {
+  if (task.assignTo && !isPlaceholder(task.assignTo)) {
+    task.assignTo = user(task.assignTo, `${path}.assignTo`);
+  }
+  if (task.workflow) task.workflow = workflow(task.workflow, `${path}.workflow`);
+}
+
+/**
+ * Copy a definition, passing every role name, user id and task workflow id it
+ * refers to through role(value, path), user(value, path) and workflow(value, path)
+ */
+function mapReferences(
+  definition,
+  { role = value => value, user = value => value, workflow = value => value }
+) {
+  const copy = structuredClone(definition);
+  const mapList = (owner, key, fn, path) => {
+    if (Array.isArray(owner?.[key])) {
+      owner[key] = owner[key].map((value, index) => fn(value, `${path}.${key}[${index}]`));
+    }
+  };
+
+  (Array.isArray(copy.transitions) ? copy.transitions : []).forEach((transition, index) => {
+    mapList(transition, 'roles', role, `transitions[${index}]`);
+  });
+
+  (Array.isArray(copy.states) ? copy.states : []).forEach((state, index) => {
+    if (!state || typeof state !== 'object') return;
+    const path = `states[${index}]`;
+
+    (Array.isArray(state.approval?.voters) ? state.approval.voters : []).forEach((voter, v) => {
+      mapList(voter, 'roles', role, `${path}.approval.voters[${v}]`);
+      mapList(voter, 'users', user, `${path}.approval.voters[${v}]`);
+    });
+
+    for (const phase of ACTION_PHASES) {
+      (Array.isArray(state[phase]) ? state[phase] : []).forEach((action, a) => {
+        const actionPath = `${path}.${phase}[${a}]`;
+        if (action?.type === 'assign') {
+          if (action.role) action.role = role(action.role, `${actionPath}.role`);
+          if (action.userId) action.userId = user(action.userId, `${actionPath}.userId`);
+        }
+        if (action?.type === 'createTask') {
+          mapTaskReferences(action, actionPath, { user, workflow });
+        }
+        if (action?.type === 'setField' && action.field === 'assignedTo' && action.value) {
+          if (!isPlaceholder(action.value)) {
+            action.value = user(action.value, `${actionPath}.value`);
+          }
+        }
+      });
+    }
+
+    (Array.isArray(state.tasks) ? state.tasks : []).forEach((task, t) => {
+      if (task) mapTaskReferences(task, `${path}.tasks[${t}]`, { user, workflow });
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * List the role names, permission keys, user ids and task workflow ids a
+ * definition refers to
+ */
+export function collectReferences(definition) {
+  const roles = new Set();
+  const users = new Set();
+  const workflows = new Set();
+  mapReferences(definition, {
+    role: value => {
+      roles.add(value);
+      return value;
+    },
+    user: value => {
+      users.add(value);
+      return value;
+    },
+    workflow: value => {
+      workflows.add(value);
+      return value;
+    },
+  });
+
+  const permissions = new Set(
+    (Array.isArray(definition?.transitions) ? definition.transitions : []).flatMap(transition =>
+      Array.isArray(transition?.permissions) ? transition.permissions : []
+    )
+  );
+
+  return {
+    roles: [...roles].sort(),
+    permissions: [...permissions].sort(),
+    users: [...users].sort(),
+    workflows: [...workflows].sort(),
+  };
+}
+
+/**
+ * Build the export package of a workflow version
+ */
+export async function exportWorkflow(workflowId) {
+  const workflow = await prisma.workflow.findUnique({
+    where: { id: workflowId },
+    include: { tenant: true },
+  });
+  if (!workflow) throw new NotFoundError('Workflow');
+
+  return {
+    kind: PACKAGE_KIND,
+    packageVersion: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      tenant: workflow.tenant?.code || null,
+      workflowId: workflow.id,
+      rootWorkflowId: getRootId(workflow),
+      version: workflow.version,
+    },
+    workflow: {
+      name: workflow.name,
+      description: workflow.description,
+      version: workflow.version,
+      definition: workflow.definition,
+    },
+    references: collectReferences(workflow.definition),
+  };
+}
+
+/**
+ * Read a package given as an object or as JSON/YAML text
+ */
+export function parsePackage(input) {
+  let pkg = input;
+  if (typeof input === 'string') {
+    try {
+      pkg = YAML.parse(input);
+    } catch (error) {
+      throw new ValidationError(`package is not valid JSON or YAML: ${error.message}`);
+    }
+  }
+
+  if (!pkg || typeof pkg !== 'object' || pkg.kind !== PACKAGE_KIND) {
+    throw new ValidationError(`package must be an exported '${PACKAGE_KIND}' package`);
+  }
+  if (pkg.packageVersion > PACKAGE_VERSION) {
+    throw new ValidationError(`package version ${pkg.packageVersion} is not supported`);
+  }
+  if (!pkg.workflow?.name || !pkg.workflow.definition) {
+    throw new ValidationError('package must contain a workflow name and definition');
+  }
+  return pkg;
+}
+
+function hasPermissionKey(known, key) {
+  if (key === '*' || known.has(key)) return true;
+  const [resource, action] = key.split(':');
+  return action === '*' && [...known].some(existing => existing.startsWith(`${resource}:`));
+}
+
+function unresolvedReference(type, value, mappedTo, path) {
+  const label = `${type[0].toUpperCase()}${type.slice(1)}`;
+  const target = mappedTo === value ? `'${value}'` : `'${value}' (mapped to '${mappedTo}')`;
+  return {
+    code: `UNRESOLVED_${type.toUpperCase()}`,
+    message:
+      type === 'permission'
+        ? `${label} ${target} is not defined`
+        : `${label} ${target} does not exist in the target tenant`,
+    path,
+    value,
+    ...(mappedTo !== value && { mappedTo }),
+  };
+}
+
+function remap(mapping, value) {
+  return mapping && Object.hasOwn(mapping, value) ? mapping[value] : value;
+}
+
+/**
+ * Remap the package's references to the target tenant and check they exist there
+ */
+async function resolveReferences(
+  definition,
+  tenantId,
+  { roleMapping, userMapping, workflowMapping }
+) {
+  const unresolved = [];
+  const remapped = mapReferences(definition, {
+    role: value => remap(roleMapping, value),
+    user: value => remap(userMapping, value),
+    workflow: value => remap(workflowMapping, value),
+  });
+  const references = collectReferences(remapped);
+
+  const needsRbac = references.roles.length > 0 || references.permissions.length > 0;
+  const [roleNames, permissionKeys] = needsRbac
+    ? await Promise.all([fetchTenantRoleNames(tenantId), fetchPermissionKeys()])
+    : [[], []];
+  const users = await prisma.user.findMany({
+    where: { id: { in: references.users.filter(id => UUID_PATTERN.test(id)) }, tenantId },
+    select: { id: true },
+  });
+  const workflows = await prisma.workflow.findMany({
+    where: { id: { in: references.workflows.filter(id => UUID_PATTERN.test(id)) }, tenantId },
+    select: { id: true },
+  });
+
+  const knownRoles = new Set(roleNames);
+  const knownPermissions = new Set(permissionKeys);
+  const knownUsers = new Set(users.map(u => u.id));
+  const knownWorkflows = new Set(workflows.map(w => w.id));
+
+  // Report each reference against the paths it was found at in the original definition
+  mapReferences(definition, {
+    role: (value, path) => {
+      const mapped = remap(roleMapping, value);
+      if (!knownRoles.has(mapped)) {
+        unresolved.push(unresolvedReference('role', value, mapped, path));
+      }
+      return value;
+    },
+    user: (value, path) => {
+      const mapped = remap(userMapping, value);
+      if (!knownUsers.has(mapped)) {
+        unresolved.push(unresolvedReference('user', value, mapped, path));
+      }
+      return value;
+    },
+    workflow: (value, path) => {
+      const mapped = remap(workflowMapping, value);
+      if (!knownWorkflows.has(mapped)) {
+        unresolved.push(unresolvedReference('workflow', value, mapped, path));
+      }
+      return value;
+    },
+  });
+  (Array.isArray(definition.transitions) ? definition.transitions : []).forEach((t, index) => {
+    (Array.isArray(t?.permissions) ? t.permissions : []).forEach((key, p) => {
+      if (!hasPermissionKey(knownPermissions, key)) {
+        unresolved.push(
+          unresolvedReference('permission', key, key, `transitions[${index}].permissions[${p}]`)
+        );
+      }
+    });
+  });
+
+  return { definition: remapped, references, unresolved };
+}
+
+/**
+ * Import a package into the requesting tenant as a new workflow.
+ * Returns { workflow, report }. A dryRun only builds the report (workflow is
+ * null); otherwise definition errors or unresolved references are thrown as
+ * a ValidationError listing them.
+ */
+export async function importWorkflow({
+  tenantId,
+  package: input,
+  name,
+  roleMapping,
+  userMapping,
+  workflowMapping,
+  dryRun = false,
+  actorId,
+}) {
+  if (!tenantId) throw new UnauthorizedError('Tenant context is required');
+  const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  if (!tenant) throw new NotFoundError('Tenant');
+
+  for (const [field, mapping] of Object.entries({ roleMapping, userMapping, workflowMapping })) {
+    if (mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw new ValidationError(`${field} must be an object of exported to target values`);
+    }
+  }
+
+  const pkg = parsePackage(input);
+  const resolved = await resolveReferences(pkg.workflow.definition, tenantId, {
+    roleMapping,
+    userMapping,
+    workflowMapping,
+  });
+  const validation = validateDefinition(resolved.definition);
+
+  const report = {
+    importable: validation.valid && resolved.unresolved.length === 0,
+    source: pkg.source || null,
+    errors: validation.errors,
+    warnings: validation.warnings,
+    unresolved: resolved.unresolved,
+    references: resolved.references,
+  };
+  if (dryRun) return { workflow: null, report };
+  if (!report.importable) {
+    throw new ValidationError('Workflow package cannot be imported', [
+      ...report.errors,
+      ...report.unresolved,
+    ]);
+  }
+
+  const workflow = await prisma.workflow.create({
+    data: {
+      tenantId,
+      name: name || pkg.workflow.name,
+      description: pkg.workflow.description || null,
+      definition: resolved.definition,
+      createdBy: actorId || null,
+    },
+    include: {
+      tenant: true,
+      creator: true,
+    },
+  });
+
+  return { workflow, report };
+}
@@ -0,0 +1,142 @@
+/**
+ * Workflow Transition Permissions
+ * Checks per-transition RBAC requirements against the rbac-service
+ *
+ * Requirements are declared on a transition in Workflow.definition:
+ * {
+ *   from: 'resolved', to: 'closed', name: 'Close Case',
+ *   permissions: ['cases:close'],   // actor needs every listed permission
+ *   roles: ['supervisor'],          // actor needs at least one listed role
+ * }
+ */
+
+import HttpClient from '../../../shared/utils/httpClient.js';
+import { AppError } from '../../../shared/common/errors.js';
+
+const rbacClient = new HttpClient(process.env.RBAC_SERVICE_URL || 'http://localhost:3002');
+
+/**
+ * Check whether a transition declares any permission or role requirement
+ */
+export function requiresAccessCheck(transition) {
+  return Boolean(transition?.permissions?.length || transition?.roles?.length);
+}
+
+/**
+ * Check whether any transition in a definition declares access requirements
+ */
+export function definitionRequiresAccessCheck(definition) {
+  return (definition?.transitions || []).some(requiresAccessCheck);
+}
+
+/**
+ * Whether a role applies in a tenant: an active role of the tenant or an
+ * active system role
+ */
+function roleAppliesIn(role, tenantId) {
+  return role.isActive !== false && (!role.tenantId || role.tenantId === tenantId);
+}
+
+/**
+ * Fetch the permission keys and role names a user holds in a tenant from the
+ * rbac-service. Inactive roles and roles of other tenants are left out, along
+ * with the permissions they grant.
+ */
+export async function fetchActorAccess(userId, tenantId) {
+  try {
+    const data = await rbacClient.get(`/permissions/user/${userId}`, {
+      'x-user-id': userId,
+      'x-tenant-id': tenantId,
+    });
+    const roles = (data.roles || []).filter(role => roleAppliesIn(role, tenantId));
+    return {
+      userId,
+      permissions: [...new Set(roles.flatMap(role => role.permissions || []))],
+      roles: roles.map(role => role.name),
+    };
+  } catch (error) {
+    throw new AppError(
+      `Unable to verify transition permissions: ${error.message}`,
+      503,
+      'SERVICE_UNAVAILABLE'
+    );
+  }
+}
+
+function rbacUnavailable(error) {
+  return new AppError(
+    `Unable to reach the rbac-service: ${error.message}`,
+    503,
+    'SERVICE_UNAVAILABLE'
+  );
+}
+
+/**
+ * Fetch the names of the roles a tenant can grant: its own roles and the system roles
+ */
+export async function fetchTenantRoleNames(tenantId) {
+  try {
+    const data = await rbacClient.get('/roles', { 'x-tenant-id': tenantId });
+    return (data.roles || []).filter(role => roleAppliesIn(role, tenantId)).map(role => role.name);
+  } catch (error) {
+    throw rbacUnavailable(error);
+  }
+}
+
+/**
+ * Fetch every permission key ('resource:action') the rbac-service knows
+ */
+export async function fetchPermissionKeys() {
+  try {
+    const data = await rbacClient.get('/permissions');
+    return (data.permissions || []).map(
+      permission => `${permission.resource}:${permission.action}`
+    );
+  } catch (error) {
+    throw rbacUnavailable(error);
+  }
+}
+
+function hasPermission(granted, required) {
+  if (granted.includes('*') || granted.includes('admin:*')) return true;
+  if (granted.includes(required)) return true;
+
+  const [resource] = required.split(':');
+  return granted.includes(`${resource}:*`);
+}
+
+/**
+ * Check a transition's requirements against an actor's access.
+ * Returns one failure per unmet requirement; an empty list means access is granted.
+ */
+export function checkTransitionAccess(transition, actor) {
+  if (!requiresAccessCheck(transition)) return [];
+
+  if (!actor) {
+    return [
+      {
+        code: 'PERMISSION_DENIED',
+        message: `Transition '${transition.name}' requires an authenticated user`,
+      },
+    ];
+  }
+
+  const failures = (transition.permissions || [])
+    .filter(permission => !hasPermission(actor.permissions, permission))
+    .map(permission => ({
+      code: 'PERMISSION_DENIED',
+      permission,
+      message: `Permission '${permission}' is required`,
+    }));
+
+  const roles = transition.roles || [];
+  if (roles.length > 0 && !roles.some(role => actor.roles.includes(role))) {
+    failures.push({
+      code: 'ROLE_REQUIRED',
+      roles,
+      message: `One of the roles ${roles.map(role => `'${role}'`).join(', ')} is required`,
+    });
+  }
+
+  return failures;
+}
@@ -0,0 +1,322 @@
+/**
+ * Workflow Simulation
+ * Replays a scripted sequence of steps against a workflow definition with a
+ * mock case and actor. Nothing is written: the same guard, permission,
+ * approval, task and action checks the engine uses run against in-memory state.
+ *
+ * Steps:
+ *   { transition: 'Approve' }                  take a transition (or toState: 'resolved')
+ *   { transition: 'Close Case', actor: {...} } as a different actor for this step
+ *   { case: { assignedTo: '...' } }            change the mock case before the step
+ *   { attachments: 2 }                         set the mock case's attachment count
+ *   { vote: { party: 'legal', decision: 'approve' } }  party may be left out as in castVote
+ *   { task: { name: 'home-visit', status: 'completed' } }
+ *   { wait: '5d' }                             advance the clock and fire due timers
+ *
+ * An actor is { userId, permissions: [], roles: [] }. Votes are cast by the
+ * step's actor, or the simulation's, under the same voter rules as castVote.
+ *
+ * The mock case enters its starting state the way startWorkflow starts a
+ * case: the state's onEnter actions run and its timers and tasks are set.
+ * A wait fires at most MAX_TIMER_FIRINGS timers, and stops at a timer that
+ * is due the moment its state is entered, so timers that lead from state to
+ * state cannot loop forever.
+ */
+
+import { AppError, ValidationError } from '../../../shared/common/errors.js';
+import {
+  findTransition,
+  getInitialState,
+  getOutgoingTransitions,
+  hasState,
+} from './definition.service.js';
+import { resolveTransitionActions } from './action.service.js';
+import {
+  VOTE_DECISIONS,
+  checkApproval,
+  evaluateApproval,
+  getApproval,
+  resolveVoterParty,
+} from './approval.service.js';
+import { evaluateGuards } from './guard.service.js';
+import { checkTransitionAccess } from './permission.service.js';
+import { TASK_STATUSES, checkTasks, getTaskGate, summarizeTasks } from './task.service.js';
+import { parseDuration } from '../utils/duration.js';
+
+const SIMULATED_CASE_ID = 'simulated-case';
+const MAX_TIMER_FIRINGS = 100;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a mock actor, defaulting missing permissions and roles to none
+ */
+function parseActor(actor, name) {
+  if (actor === undefined || actor === null) return null;
+  const { permissions = [], roles = [] } = isPlainObject(actor) ? actor : {};
+  if (!isPlainObject(actor) || !Array.isArray(permissions) || !Array.isArray(roles)) {
+    throw new ValidationError(`${name} must be an object with permissions and roles arrays`);
+  }
+  return { ...actor, permissions, roles };
+}
+
+/**
+ * The simulation's starting clock: input.now if given, else the current time
+ */
+function parseNow(value) {
+  if (value === undefined || value === null) return new Date();
+  const now = new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(now.getTime())) {
+    throw new ValidationError('now must be a valid date');
+  }
+  return now;
+}
+
+function startingState(definition, case_, startState) {
+  if (startState) {
+    if (!hasState(definition, startState)) {
+      throw new ValidationError(`startState '${startState}' is not a state of this workflow`);
+    }
+    return startState;
+  }
+  return hasState(definition, case_.status) ? case_.status : getInitialState(definition);
+}
+
+/**
+ * Move the mock case into a state: run the actions of leaving from (null
+ * when starting) and entering to, and set the new state's timers and tasks
+ */
+function enterState(sim, from, to, actorId) {
+  const actions = resolveTransitionActions(sim.definition, from, to, {
+    case: sim.case,
+    workflowId: sim.workflowId,
+    actorId,
+    calendar: sim.calendar,
+    now: sim.now,
+  });
+
+  sim.case = { ...sim.case, ...actions.caseChanges, status: to };
+  sim.state = to;
+  sim.enteredAt = sim.now;
+  sim.votes = [];
+  sim.timers = actions.timers;
+  sim.tasks = actions.tasks.map(task => ({ ...task, status: 'open' }));
+
+  return {
+    actions: actions.results,
+    events: actions.events.map(event => event.type),
+    caseChanges: actions.caseChanges,
+    tasks: actions.tasks.map(task => task.name || task.title),
+  };
+}
+
+/**
+ * Check a transition the way transitionCase does and, if nothing blocks it,
+ * apply its actions to the simulation
+ */
+function takeTransition(sim, request, actor, { system = false } = {}) {
+  const from = sim.state;
+  const match = findTransition(sim.definition, from, request);
+  if (!match) {
+    return {
+      from,
+      status: 'invalid',
+      failures: getOutgoingTransitions(sim.definition, from).map(t => ({
+        code: 'TRANSITION_NOT_ALLOWED',
+        message: `Allowed: '${t.name}' to '${t.to}'`,
+      })),
+    };
+  }
+
+  const approval = getApproval(sim.definition, from);
+  const failures = [
+    ...(system ? [] : checkTransitionAccess(match, actor)),
+    ...checkApproval(approval, approval && evaluateApproval(approval, sim.votes), match),
+    ...checkTasks(getTaskGate(sim.definition, from), summarizeTasks(sim.tasks), match),
+    ...evaluateGuards(match.guards, { case: sim.case, attachmentCount: sim.attachmentCount }),
+  ];
+  if (failures.length > 0) {
+    return { from, to: match.to, transition: match.name, status: 'blocked', failures };
+  }
+
+  const entry = enterState(sim, from, match.to, system ? null : actor?.userId || null);
+  return { from, to: match.to, transition: match.name, status: 'ok', failures: [], ...entry };
+}
+
+/**
+ * Cast a vote the way castVote does, as the given actor
+ */
+function castVote(sim, vote, actor) {
+  const approval = getApproval(sim.definition, sim.state);
+  if (!approval) {
+    return { status: 'invalid', reason: `State '${sim.state}' does not collect approval votes` };
+  }
+  if (!actor?.userId) {
+    return { status: 'invalid', reason: 'Voting requires an actor with a userId' };
+  }
+  if (!VOTE_DECISIONS.includes(vote?.decision)) {
+    return { status: 'invalid', reason: `decision must be one of ${VOTE_DECISIONS.join(', ')}` };
+  }
+
+  let party;
+  try {
+    party = resolveVoterParty(approval, actor.userId, actor, vote.party, sim.votes);
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    return { status: 'invalid', reason: error.message };
+  }
+  const before = evaluateApproval(approval, sim.votes);
+  if (before.status !== 'pending') {
+    return {
+      status: 'invalid',
+      reason: `Approval of state '${sim.state}' is already ${before.status}`,
+    };
+  }
+
+  sim.votes.push({ party, decision: vote.decision, votedBy: actor.userId, votedAt: sim.now });
+  const summary = evaluateApproval(approval, sim.votes);
+  const result = { status: 'ok', vote: { ...vote, party }, approval: summary };
+
+  if (summary.status === 'rejected' && approval.rejectTransition) {
+    result.rejection = takeTransition(sim, { transition: approval.rejectTransition }, null, {
+      system: true,
+    });
+  }
+  return result;
+}
+
+/**
+ * Change the status of a task spawned by the current state, found by name or title
+ */
+function updateTask(sim, change) {
+  const task = sim.tasks.find(t => (t.name || t.title) === change?.name);
+  if (!task) {
+    return { status: 'invalid', reason: `No task '${change?.name}' in state '${sim.state}'` };
+  }
+  if (!TASK_STATUSES.includes(change.status)) {
+    return { status: 'invalid', reason: `task status must be one of ${TASK_STATUSES.join(', ')}` };
+  }
+
+  task.status = change.status;
+  return { status: 'ok', task: change, tasks: summarizeTasks(sim.tasks) };
+}
+
+/**
+ * Advance the clock and fire every timer that falls due, in order
+ */
+function wait(sim, duration) {
+  const ms = parseDuration(duration);
+  if (ms === null) return { status: 'invalid', reason: `Invalid duration '${duration}'` };
+
+  const until = new Date(sim.now.getTime() + ms);
+  const fired = [];
+  for (;;) {
+    const [timer] = sim.timers.filter(t => t.dueAt <= until).sort((a, b) => a.dueAt - b.dueAt);
+    if (!timer) break;
+
+    if (timer.dueAt <= sim.enteredAt) {
+      return {
+        status: 'invalid',
+        reason: `Timer '${timer.name}' of state '${sim.state}' is due the moment the state is entered`,
+        until,
+        timers: fired,
+      };
+    }
+    if (fired.length >= MAX_TIMER_FIRINGS) {
+      return {
+        status: 'invalid',
+        reason: `More than ${MAX_TIMER_FIRINGS} timers fired in one wait; the timers may loop`,
+        until,
+        timers: fired,
+      };
+    }
+
+    sim.now = timer.dueAt;
+    sim.timers = sim.timers.filter(t => t !== timer);
+    const firing = { timer: timer.name, dueAt: timer.dueAt, event: timer.event };
+    if (timer.transition) {
+      firing.result = takeTransition(sim, { transition: timer.transition }, null, { system: true });
+    }
+    fired.push(firing);
+  }
+
+  sim.now = until;
+  return { status: 'ok', until, timers: fired };
+}
+
+/**
+ * Run a simulation.
+ * Input: { case, actor, steps, startState, attachments, stopOnFailure = true,
+ *          now, calendar, workflowId }
+ * Returns what entering the starting state did, the outcome of every step and
+ * the final state of the mock case.
+ */
+export function simulateWorkflow(definition, input = {}) {
+  const { steps, stopOnFailure = true } = input;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ValidationError('steps must be a non-empty array');
+  }
+  const actor = parseActor(input.actor, 'actor');
+  const stepActors = steps.map((step, index) => {
+    if (!isPlainObject(step)) throw new ValidationError(`steps[${index}] must be an object`);
+    return parseActor(step.actor, `steps[${index}].actor`);
+  });
+
+  const case_ = { id: SIMULATED_CASE_ID, metadata: {}, ...input.case };
+  const sim = {
+    definition,
+    workflowId: input.workflowId || null,
+    calendar: input.calendar,
+    now: parseNow(input.now),
+    case: case_,
+    attachmentCount: input.attachments || 0,
+    state: startingState(definition, case_, input.startState),
+    votes: [],
+    timers: [],
+    tasks: [],
+  };
+  const startState = sim.state;
+  const start = { state: startState, ...enterState(sim, null, startState, actor?.userId || null) };
+
+  const results = [];
+  for (const [index, step] of steps.entries()) {
+    if (step.case) sim.case = { ...sim.case, ...step.case };
+    if (step.attachments !== undefined) sim.attachmentCount = step.attachments;
+
+    let result;
+    if (step.vote) {
+      result = castVote(sim, step.vote, stepActors[index] || actor);
+    } else if (step.task) {
+      result = updateTask(sim, step.task);
+    } else if (step.wait) {
+      result = wait(sim, step.wait);
+    } else if (step.transition || step.toState) {
+      result = takeTransition(
+        sim,
+        { transition: step.transition, toState: step.toState },
+        stepActors[index] || actor
+      );
+    } else {
+      result = {
+        status: 'invalid',
+        reason: 'Step needs a transition, toState, vote, task or wait',
+      };
+    }
+
+    results.push({ step: index, ...result });
+    if (result.status !== 'ok' && stopOnFailure) break;
+  }
+
+  return {
+    startState,
+    start,
+    finalState: sim.state,
+    completed: results.length === steps.length && results.every(result => result.status === 'ok'),
+    steps: results,
+    case: sim.case,
+    pendingTimers: sim.timers,
+    tasks: sim.tasks,
+  };
+}
@@ -0,0 +1,445 @@
+/**
+ * Case Tasks
+ * Child work items of a case (home visit, document collection, ...) with
+ * their own lifecycle
+ *
+ * Tasks are spawned when a case enters a state, from the state's tasks
+ * setting or a createTask action, or created by hand. Each is linked to the
+ * WorkflowState row of the stay it belongs to:
+ * {
+ *   name: 'assessment',
+ *   tasks: [
+ *     { name: 'home-visit', title: 'Home visit', due: '5d' },
+ *     { name: 'background', title: 'Background check', workflow: '<workflow id>' },
+ *   ],
+ *   waitForTasks: true,   // or the names of the transitions to hold back
+ * }
+ *
+ * A task either follows the lifecycle open -> in_progress -> completed |
+ * cancelled, or runs through a sub-workflow: it starts in that workflow's
+ * initial state, moves along its transitions (their permissions and roles
+ * apply) and completes once it reaches a state with no way out.
+ *
+ * While a state waits for tasks, its outbound transitions stay blocked until
+ * every required task of the stay is completed or cancelled. Whether a task
+ * the workflow created is required is up to the definition; only tasks
+ * created by hand can be made optional. Tasks spawned by the state itself are
+ * cancelled when the case leaves it.
+ */
+
+import prisma from '../config/database.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import {
+  findTransition,
+  getInitialState,
+  getOutgoingTransitions,
+  getStateConfig,
+} from './definition.service.js';
+import { isVoteEntry } from './approval.service.js';
+import {
+  checkTransitionAccess,
+  definitionRequiresAccessCheck,
+  fetchActorAccess,
+} from './permission.service.js';
+import { getLatestVersion } from './version.service.js';
+
+export const TASK_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+// Fields of a task that can be edited after it is created
+const EDITABLE_FIELDS = ['title', 'description', 'assignedTo', 'dueAt', 'required'];
+
+export function isOpenTask(task) {
+  return OPEN_STATUSES.includes(task.status);
+}
+
+/**
+ * Get the waitForTasks setting of a state, or null
+ */
+export function getTaskGate(definition, state) {
+  return getStateConfig(definition, state).waitForTasks || null;
+}
+
+/**
+ * Count the tasks of a stay. Only required tasks hold transitions back.
+ */
+export function summarizeTasks(tasks) {
+  const required = tasks.filter(task => task.required !== false);
+  return {
+    total: tasks.length,
+    required: required.length,
+    pending: required.filter(isOpenTask).length,
+    completed: tasks.filter(task => task.status === 'completed').length,
+    cancelled: tasks.filter(task => task.status === 'cancelled').length,
+  };
+}
+
+function isGatedTransition(waitForTasks, transition) {
+  return Array.isArray(waitForTasks) ? waitForTasks.includes(transition.name) : true;
+}
+
+/**
+ * Check whether open tasks still hold back a transition.
+ * Returns failures shaped like guard failures; an empty list means the transition is unlocked.
+ */
+export function checkTasks(waitForTasks, summary, transition) {
+  if (!waitForTasks || !isGatedTransition(waitForTasks, transition) || summary.pending === 0) {
+    return [];
+  }
+  return [
+    {
+      code: 'TASKS_PENDING',
+      message: `Transition '${transition.name}' is waiting for ${summary.pending} open task(s)`,
+    },
+  ];
+}
+
+/**
+ * Find the WorkflowState row that started the case's current stay.
+ * Approval votes stay in the state and are skipped.
+ */
+export async function loadStateEntry(client, caseId, workflowId) {
+  const history = await client.workflowState.findMany({
+    where: { caseId, workflowId, mergedFromCaseId: null },
+    orderBy: { transitionedAt: 'desc' },
+  });
+  return history.find(entry => !isVoteEntry(entry)) || null;
+}
+
+/**
+ * Load the tasks of the case's current stay; tasks moved over from a merged
+ * duplicate are not part of it
+ */
+export async function loadStayTasks(client, caseId, workflowId) {
+  const entry = await loadStateEntry(client, caseId, workflowId);
+  return client.caseTask.findMany({
+    where: { caseId, workflowId, stateEntryId: entry?.id ?? null, mergedFromCaseId: null },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Resolve the sub-workflow a task runs through: the latest version of the
+ * named workflow, which must belong to the tenant of the case
+ */
+async function loadSubWorkflow(client, workflowId, tenantId) {
+  const requested = await client.workflow.findUnique({ where: { id: workflowId } });
+  if (!requested || requested.tenantId !== tenantId) {
+    throw new ValidationError(`Task workflow ${workflowId} does not exist in this tenant`);
+  }
+  return getLatestVersion(client, requested);
+}
+
+function taskEventData(task, data = {}) {
+  return {
+    taskId: task.id,
+    caseId: task.caseId,
+    workflowId: task.workflowId,
+    state: task.state,
+    name: task.name,
+    title: task.title,
+    status: task.status,
+    currentState: task.currentState,
+    assignedTo: task.assignedTo,
+    ...data,
+  };
+}
+
+/**
+ * Store the tasks spawned by entering a state.
+ * Returns { tasks, events }; the events announce the tasks and are for the
+ * caller to publish after commit.
+ */
+export async function createTasks(tx, stateEntry, tasks, { tenantId, actorId }) {
+  const created = [];
+  for (const task of tasks) {
+    const subWorkflow = task.subWorkflowId
+      ? await loadSubWorkflow(tx, task.subWorkflowId, tenantId)
+      : null;
+
+    const row = await tx.caseTask.create({
+      data: {
+        caseId: stateEntry.caseId,
+        workflowId: stateEntry.workflowId,
+        stateEntryId: stateEntry.id,
+        state: stateEntry.currentState,
+        name: task.name,
+        title: task.title,
+        description: task.description,
+        origin: task.origin,
+        required: task.required,
+        subWorkflowId: subWorkflow?.id || null,
+        currentState: subWorkflow ? getInitialState(subWorkflow.definition) : null,
+        assignedTo: task.assignedTo,
+        dueAt: task.dueAt,
+        createdBy: actorId || null,
+      },
+    });
+    created.push(row);
+  }
+  return {
+    tasks: created,
+    events: created.map(task => ({ type: 'workflow.task.created', data: taskEventData(task) })),
+  };
+}
+
+/**
+ * Cancel the open tasks a state spawned; called when the case leaves its state
+ */
+export async function cancelStateTasks(tx, caseId) {
+  await tx.caseTask.updateMany({
+    where: { caseId, origin: 'state', status: { in: OPEN_STATUSES } },
+    data: { status: 'cancelled' },
+  });
+}
+
+/**
+ * List the tasks of a case, oldest first
+ */
+export async function listCaseTasks(caseId, { status, state } = {}) {
+  if (status && !TASK_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of ${TASK_STATUSES.join(', ')}`);
+  }
+  return prisma.caseTask.findMany({
+    where: {
+      caseId,
+      ...(status && { status }),
+      ...(state && { state }),
+    },
+    include: { subWorkflow: true },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Get a task with the transitions its sub-workflow allows from its current state
+ */
+export async function getTask(taskId) {
+  const task = await prisma.caseTask.findUnique({
+    where: { id: taskId },
+    include: { subWorkflow: true },
+  });
+  if (!task) throw new NotFoundError('Task');
+
+  const transitions = task.subWorkflow
+    ? getOutgoingTransitions(task.subWorkflow.definition, task.currentState).map(t => ({
+        name: t.name,
+        from: t.from,
+        to: t.to,
+      }))
+    : [];
+  return { task, transitions };
+}
+
+function parseDueAt(value) {
+  if (value === null || value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ValidationError('dueAt must be a valid date');
+  return date;
+}
+
+/**
+ * Create a task by hand on the current stay of a case.
+ * Returns { task, events }.
+ */
+export async function createCaseTask(caseId, input, actorId) {
+  if (!input?.title) throw new ValidationError('title is required');
+
+  return prisma.$transaction(async tx => {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+
+    const case_ = await tx.case.findFirst({ where: { id: caseId, deletedAt: null } });
+    if (!case_) throw new NotFoundError('Case');
+    if (!case_.workflowId) {
+      throw new ValidationError('Tasks can only be created on cases with a workflow');
+    }
+
+    const entry = await loadStateEntry(tx, caseId, case_.workflowId);
+    const { tasks, events } = await createTasks(
+      tx,
+      entry || { caseId, workflowId: case_.workflowId, id: null, currentState: case_.status },
+      [
+        {
+          name: input.name || null,
+          title: input.title,
+          description: input.description || null,
+          origin: 'manual',
+          required: input.required !== false,
+          subWorkflowId: input.workflowId || null,
+          assignedTo: input.assignedTo || null,
+          dueAt: parseDueAt(input.dueAt),
+        },
+      ],
+      { tenantId: case_.tenantId, actorId }
+    );
+
+    return { task: tasks[0], events };
+  });
+}
+
+/**
+ * Announce that a stay no longer waits for tasks once its last pending
+ * required task is done
+ */
+async function stayCompletionEvents(tx, task) {
+  const case_ = await tx.case.findFirst({ where: { id: task.caseId } });
+  const workflow = await tx.workflow.findUnique({ where: { id: task.workflowId } });
+  if (!case_ || !workflow || case_.workflowId !== workflow.id) return [];
+  if (!getTaskGate(workflow.definition, task.state)) return [];
+
+  const entry = await loadStateEntry(tx, task.caseId, task.workflowId);
+  if ((entry?.id ?? null) !== task.stateEntryId) return [];
+
+  const tasks = await loadStayTasks(tx, task.caseId, task.workflowId);
+  if (summarizeTasks(tasks).pending > 0) return [];
+  return [
+    {
+      type: 'workflow.tasks.completed',
+      data: { caseId: task.caseId, workflowId: task.workflowId, state: task.state },
+    },
+  ];
+}
+
+async function lockTask(tx, taskId) {
+  await tx.$queryRaw`SELECT id FROM case_tasks WHERE id = ${taskId}::uuid FOR UPDATE`;
+  const task = await tx.caseTask.findUnique({
+    where: { id: taskId },
+    include: { subWorkflow: true },
+  });
+  if (!task) throw new NotFoundError('Task');
+  return task;
+}
+
+function statusChanges(task, status, actorId) {
+  if (status === 'completed') {
+    return { status, completedBy: actorId || null, completedAt: new Date() };
+  }
+  return { status, ...(task.status === 'completed' && { completedBy: null, completedAt: null }) };
+}
+
+/**
+ * Edit a task or move it along its status lifecycle.
+ * Tasks with a sub-workflow complete through their transitions; they can
+ * only be cancelled directly. Returns { task, events }.
+ */
+export async function updateTask(taskId, changes, actorId) {
+  return prisma.$transaction(async tx => {
+    const task = await lockTask(tx, taskId);
+
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) data[field] = changes[field];
+    }
+    if (data.title !== undefined && !data.title) throw new ValidationError('title cannot be empty');
+    if (data.dueAt !== undefined) data.dueAt = parseDueAt(data.dueAt);
+    if (data.required !== undefined) {
+      data.required = Boolean(data.required);
+      if (task.origin !== 'manual' && data.required !== task.required) {
+        throw new ValidationError(
+          'Only tasks created by hand can change whether they are required'
+        );
+      }
+    }
+
+    const { status } = changes;
+    if (status !== undefined && status !== task.status) {
+      if (!TASK_STATUSES.includes(status)) {
+        throw new ValidationError(`status must be one of ${TASK_STATUSES.join(', ')}`);
+      }
+      if (task.subWorkflowId && status !== 'cancelled') {
+        throw new ValidationError('Tasks with a workflow change status through their transitions');
+      }
+      if (!isOpenTask(task) && status !== 'open') {
+        throw new ValidationError(`Task is ${task.status}; reopen it before changing its status`);
+      }
+      Object.assign(data, statusChanges(task, status, actorId));
+    }
+
+    const updated = await tx.caseTask.update({ where: { id: taskId }, data });
+    const events = [{ type: 'workflow.task.updated', data: taskEventData(updated) }];
+    if (isOpenTask(task) && !isOpenTask(updated)) {
+      if (updated.status === 'completed') {
+        events.push({ type: 'workflow.task.completed', data: taskEventData(updated) });
+      }
+      events.push(...(await stayCompletionEvents(tx, updated)));
+    }
+    return { task: updated, events };
+  });
+}
+
+/**
+ * Move a task along a transition of its sub-workflow.
+ * The task completes when it reaches a state with no outgoing transitions.
+ * Returns { task, transition, events }.
+ */
+export async function transitionTask(taskId, { transition, toState, fromState }, actorId) {
+  if (!transition && !toState) {
+    throw new ValidationError('Either transition or toState is required');
+  }
+
+  const preloaded = await prisma.caseTask.findUnique({
+    where: { id: taskId },
+    include: { subWorkflow: true, case: true },
+  });
+  if (!preloaded) throw new NotFoundError('Task');
+  if (!preloaded.subWorkflow) throw new ValidationError('Task does not have a workflow');
+
+  // Role membership comes from the rbac-service, so it is fetched before the task is locked
+  const actor =
+    actorId && definitionRequiresAccessCheck(preloaded.subWorkflow.definition)
+      ? await fetchActorAccess(actorId, preloaded.case.tenantId)
+      : null;
+
+  return prisma.$transaction(async tx => {
+    const task = await lockTask(tx, taskId);
+    if (!isOpenTask(task)) throw new ValidationError(`Task is ${task.status}`);
+    if (fromState && fromState !== task.currentState) {
+      throw new ConflictError(`Task is in state '${task.currentState}', not '${fromState}'`);
+    }
+
+    const definition = task.subWorkflow.definition;
+    const match = findTransition(definition, task.currentState, { transition, toState });
+    if (!match) {
+      throw new ValidationError(
+        `Transition is not allowed from task state '${task.currentState}'`,
+        getOutgoingTransitions(definition, task.currentState).map(t => ({
+          code: 'TRANSITION_NOT_ALLOWED',
+          message: `Allowed: '${t.name}' to '${t.to}'`,
+        }))
+      );
+    }
+
+    const denied = checkTransitionAccess(match, actor);
+    if (denied.length > 0) {
+      throw new ForbiddenError(
+        `Transition '${match.name}' is not permitted: ${denied.map(d => d.message).join('; ')}`
+      );
+    }
+
+    const finished = getOutgoingTransitions(definition, match.to).length === 0;
+    const updated = await tx.caseTask.update({
+      where: { id: taskId },
+      data: {
+        currentState: match.to,
+        ...(finished ? statusChanges(task, 'completed', actorId) : { status: 'in_progress' }),
+      },
+    });
+
+    const events = [
+      {
+        type: 'workflow.task.transitioned',
+        data: taskEventData(updated, { previousState: task.currentState, transition: match.name }),
+      },
+    ];
+    if (finished) {
+      events.push({ type: 'workflow.task.completed', data: taskEventData(updated) });
+      events.push(...(await stayCompletionEvents(tx, updated)));
+    }
+    return { task: updated, transition: match, events };
+  });
+}
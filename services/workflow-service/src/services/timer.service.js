@@ -0,0 +1,199 @@
+/**
+ * Workflow Timers
+ * Persists the timers started when a case enters a state and fires them once
+ * they fall due. Timers are rows in workflow_timers, so a restart only delays
+ * them until the next poll.
+ *
+ * Timer lifecycle: pending -> processing -> fired | cancelled | failed
+ */
+
+import prisma from '../config/database.js';
+import { AppError, ConflictError } from '../../../shared/common/errors.js';
+import EventBus from '../../../shared/utils/eventBus.js';
+import Logger from '../../../shared/common/logger.js';
+import { publishTransitionEvents, transitionCase } from './transition.service.js';
+
+const eventBus = new EventBus(process.env.REDIS_URL || 'redis://localhost:6379');
+const logger = new Logger('workflow-service');
+
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 60 * 1000;
+// A timer left in 'processing' this long was claimed by an instance that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Store the timers started by entering a state
+ */
+export async function scheduleTimers(tx, stateEntry, timers) {
+  if (timers.length === 0) return;
+
+  await tx.workflowTimer.createMany({
+    data: timers.map(timer => ({
+      caseId: stateEntry.caseId,
+      workflowId: stateEntry.workflowId,
+      stateEntryId: stateEntry.id,
+      state: timer.state,
+      name: timer.name,
+      transition: timer.transition,
+      event: timer.event,
+      dueAt: timer.dueAt,
+    })),
+  });
+}
+
+/**
+ * Cancel the timers still waiting on a case; called when the case leaves its state
+ */
+export async function cancelPendingTimers(tx, caseId) {
+  await tx.workflowTimer.updateMany({
+    where: { caseId, status: 'pending' },
+    data: { status: 'cancelled' },
+  });
+}
+
+/**
+ * Take a timer for this instance. The update only matches while the timer is
+ * still in the state it was read in, so two instances never fire the same timer.
+ */
+async function claimTimer(timer, now) {
+  const { count } = await prisma.workflowTimer.updateMany({
+    where: { id: timer.id, status: timer.status, lockedAt: timer.lockedAt },
+    data: { status: 'processing', lockedAt: now, attempts: { increment: 1 } },
+  });
+  return count === 1;
+}
+
+async function finishTimer(timer, status, lastError = null) {
+  await prisma.workflowTimer.update({
+    where: { id: timer.id },
+    data: {
+      status,
+      lastError,
+      lockedAt: null,
+      ...(status === 'fired' && { firedAt: new Date() }),
+    },
+  });
+}
+
+async function retryTimer(timer, error) {
+  const attempts = timer.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    await finishTimer(timer, 'failed', error.message);
+    return;
+  }
+
+  await prisma.workflowTimer.update({
+    where: { id: timer.id },
+    data: {
+      status: 'pending',
+      lockedAt: null,
+      lastError: error.message,
+      dueAt: new Date(Date.now() + RETRY_DELAY_MS * attempts),
+    },
+  });
+}
+
+/**
+ * Fire a claimed timer: take its transition as the system actor, then
+ * publish its escalation event
+ */
+async function fireTimer(timer) {
+  try {
+    const case_ = await prisma.case.findFirst({
+      where: { id: timer.caseId, deletedAt: null },
+    });
+    if (!case_) {
+      await finishTimer(timer, 'cancelled', 'Case no longer exists');
+      return;
+    }
+
+    if (timer.transition) {
+      const result = await transitionCase({
+        caseId: timer.caseId,
+        workflowId: timer.workflowId,
+        transition: timer.transition,
+        fromState: timer.state,
+        notes: `Timer '${timer.name}' expired`,
+        stateData: { timer: { id: timer.id, name: timer.name } },
+        system: true,
+      });
+      await publishTransitionEvents(eventBus, result);
+    }
+
+    if (timer.event) {
+      await eventBus.publish(timer.event, {
+        caseId: case_.id,
+        tenantId: case_.tenantId,
+        workflowId: timer.workflowId,
+        state: timer.state,
+        timer: timer.name,
+        dueAt: timer.dueAt,
+        assignedTo: case_.assignedTo,
+        createdBy: case_.createdBy,
+      });
+    }
+
+    await finishTimer(timer, 'fired');
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      // The case has already left the state the timer was started in
+      await finishTimer(timer, 'cancelled', error.message);
+    } else if (error instanceof AppError && error.statusCode < 500) {
+      await finishTimer(timer, 'failed', error.message);
+    } else {
+      logger.error('Workflow timer failed', { timerId: timer.id, error: error.message });
+      await retryTimer(timer, error);
+    }
+  }
+}
+
+/**
+ * Fire every timer that is due, including timers whose claim went stale.
+ * Returns the number of timers this instance processed.
+ */
+export async function runDueTimers(now = new Date()) {
+  const due = await prisma.workflowTimer.findMany({
+    where: {
+      OR: [
+        { status: 'pending', dueAt: { lte: now } },
+        { status: 'processing', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    orderBy: { dueAt: 'asc' },
+    take: BATCH_SIZE,
+  });
+
+  let processed = 0;
+  for (const timer of due) {
+    if (!(await claimTimer(timer, now))) continue;
+    await fireTimer(timer);
+    processed += 1;
+  }
+  return processed;
+}
+
+/**
+ * Poll for due timers until the returned stop function is called
+ */
+export function startTimerScheduler({ intervalMs = 30000 } = {}) {
+  let handle = null;
+  let stopped = false;
+
+  const poll = async () => {
+    try {
+      const processed = await runDueTimers();
+      if (processed > 0) logger.info(`Processed ${processed} workflow timer(s)`);
+    } catch (error) {
+      logger.error('Workflow timer poll failed', { error: error.message });
+    }
+    if (!stopped) handle = setTimeout(poll, intervalMs);
+  };
+
+  handle = setTimeout(poll, 0);
+
+  return () => {
+    stopped = true;
+    clearTimeout(handle);
+  };
+}
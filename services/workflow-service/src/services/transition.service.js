@@ -0,0 +1,455 @@
+/**
+ * Workflow Transition Engine
+ * Validates requested moves against a workflow definition and records them
+ */
+
+import prisma from '../config/database.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../../../shared/common/errors.js';
+import {
+  findTransition,
+  getInitialState,
+  getOutgoingTransitions,
+  hasState,
+} from './definition.service.js';
+import { resolveTransitionActions } from './action.service.js';
+import { resolveCaseWorkflow } from './binding.service.js';
+import { updateCaseWithHistory } from './history.service.js';
+import {
+  checkApproval,
+  evaluateApproval,
+  getApproval,
+  loadApprovalVotes,
+} from './approval.service.js';
+import { evaluateGuards, needsAttachmentCount } from './guard.service.js';
+import {
+  checkTransitionAccess,
+  definitionRequiresAccessCheck,
+  fetchActorAccess,
+} from './permission.service.js';
+import {
+  cancelStateTasks,
+  checkTasks,
+  createTasks,
+  getTaskGate,
+  loadStayTasks,
+  summarizeTasks,
+} from './task.service.js';
+import { cancelPendingTimers, scheduleTimers } from './timer.service.js';
+import { getLatestVersion, getRootId } from './version.service.js';
+import { getBusinessCalendar } from '../utils/calendar.js';
+
+const STATE_INCLUDE = {
+  case: true,
+  workflow: true,
+  transitioner: true,
+};
+
+// stateData keys the engine writes itself; they are dropped from the
+// stateData a client sends with a transition so it cannot forge votes,
+// migrations or timer firings
+const RESERVED_STATE_DATA = [
+  'vote',
+  'migration',
+  'timer',
+  'start',
+  'actions',
+  'approval',
+  'transition',
+  'actor',
+];
+
+function clientStateData(stateData) {
+  if (stateData === undefined || stateData === null) return {};
+  if (typeof stateData !== 'object' || Array.isArray(stateData)) {
+    throw new ValidationError('stateData must be an object');
+  }
+  return Object.fromEntries(
+    Object.entries(stateData).filter(([key]) => !RESERVED_STATE_DATA.includes(key))
+  );
+}
+
+/**
+ * Load a case together with the workflow version it moves through.
+ * A case stays pinned to the version it started on; a case without a workflow
+ * starts on the latest version of the requested one.
+ */
+export async function loadCaseWorkflow(client, caseId, workflowId) {
+  const case_ = await client.case.findFirst({
+    where: { id: caseId, deletedAt: null },
+  });
+  if (!case_) throw new NotFoundError('Case');
+
+  if (case_.workflowId) {
+    const workflow = await client.workflow.findUnique({
+      where: { id: case_.workflowId },
+    });
+    if (!workflow) throw new NotFoundError('Workflow');
+
+    if (workflowId && workflowId !== workflow.id) {
+      const requested = await client.workflow.findUnique({ where: { id: workflowId } });
+      if (!requested || getRootId(requested) !== getRootId(workflow)) {
+        throw new ConflictError(`Case is bound to workflow ${case_.workflowId}`);
+      }
+    }
+
+    return { case_, workflow };
+  }
+
+  if (!workflowId) {
+    throw new ValidationError('workflowId is required for cases without a workflow');
+  }
+
+  const requested = await client.workflow.findUnique({ where: { id: workflowId } });
+  if (!requested) throw new NotFoundError('Workflow');
+
+  return { case_, workflow: await getLatestVersion(client, requested) };
+}
+
+/**
+ * Resolve the state a case currently occupies in a workflow.
+ * The latest recorded transition wins; before the first transition the case
+ * sits in its status if the workflow declares it, otherwise in the initial state.
+ */
+export async function resolveCurrentState(client, case_, workflow) {
+  const latest = await client.workflowState.findFirst({
+    where: { caseId: case_.id, workflowId: workflow.id, mergedFromCaseId: null },
+    orderBy: { transitionedAt: 'desc' },
+  });
+  if (latest) return latest.currentState;
+
+  return hasState(workflow.definition, case_.status)
+    ? case_.status
+    : getInitialState(workflow.definition);
+}
+
+/**
+ * Collect the case data the guards of the given transitions need
+ */
+async function buildGuardContext(client, case_, transitions) {
+  const guards = transitions.flatMap(t => t.guards || []);
+  const attachmentCount = needsAttachmentCount(guards)
+    ? await client.caseAttachment.count({ where: { caseId: case_.id, deletedAt: null } })
+    : 0;
+
+  return { case: case_, attachmentCount };
+}
+
+/**
+ * Tally the approval votes of a state, or return null if it needs no approval
+ */
+async function loadApproval(client, case_, workflow, state) {
+  const approval = getApproval(workflow.definition, state);
+  if (!approval) return null;
+
+  const votes = await loadApprovalVotes(client, case_.id, workflow.id);
+  return { approval, summary: evaluateApproval(approval, votes) };
+}
+
+/**
+ * Count the tasks of the current stay when the state waits for them, or return null
+ */
+async function loadTaskGate(client, case_, workflow, state) {
+  const waitForTasks = getTaskGate(workflow.definition, state);
+  if (!waitForTasks) return null;
+
+  const tasks = await loadStayTasks(client, case_.id, workflow.id);
+  return { waitForTasks, summary: summarizeTasks(tasks) };
+}
+
+/**
+ * Fetch the acting user's permissions and roles when the workflow has
+ * transitions that require them. This calls the rbac-service, so it runs
+ * before any case row is locked.
+ */
+async function loadActorAccess(case_, workflow, actorId) {
+  if (!actorId || !definitionRequiresAccessCheck(workflow.definition)) return null;
+  return fetchActorAccess(actorId, case_.tenantId);
+}
+
+/**
+ * Load the business calendar of a tenant, used to schedule timers
+ */
+export async function loadBusinessCalendar(client, tenantId) {
+  const tenant = await client.tenant.findUnique({
+    where: { id: tenantId },
+    select: { config: true },
+  });
+  return getBusinessCalendar(tenant?.config);
+}
+
+function describeRequest({ transition, toState }) {
+  if (transition && toState) return `'${transition}' to '${toState}'`;
+  return transition ? `'${transition}'` : `to '${toState}'`;
+}
+
+/**
+ * Get the transitions a case can take from its current state
+ */
+export async function getAvailableTransitions(caseId, workflowId, actorId) {
+  const { case_, workflow } = await loadCaseWorkflow(prisma, caseId, workflowId);
+  const actor = await loadActorAccess(case_, workflow, actorId);
+  const currentState = await resolveCurrentState(prisma, case_, workflow);
+  const outgoing = getOutgoingTransitions(workflow.definition, currentState);
+  const context = await buildGuardContext(prisma, case_, outgoing);
+  const approval = await loadApproval(prisma, case_, workflow, currentState);
+  const tasks = await loadTaskGate(prisma, case_, workflow, currentState);
+
+  return {
+    caseId: case_.id,
+    workflowId: workflow.id,
+    currentState,
+    ...(approval && { approval: approval.summary }),
+    ...(tasks && { tasks: tasks.summary }),
+    transitions: outgoing.map(t => {
+      const failures = [
+        ...checkTransitionAccess(t, actor),
+        ...checkApproval(approval?.approval, approval?.summary, t),
+        ...checkTasks(tasks?.waitForTasks, tasks?.summary, t),
+        ...evaluateGuards(t.guards, context),
+      ];
+      return {
+        name: t.name,
+        from: t.from,
+        to: t.to,
+        allowed: failures.length === 0,
+        failures,
+      };
+    }),
+  };
+}
+
+/**
+ * Move a case along one transition of its workflow.
+ * The WorkflowState row and Case.status are written in the same database
+ * transaction, with the case row locked so concurrent moves are serialized.
+ * Case changes made by onExit/onEnter actions are written with the status
+ * and recorded in the case history; the events they raise are returned for the caller to publish after commit.
+ * Pending timers and open state tasks of the state being left are cancelled,
+ * and the timers and tasks of the state being entered are created.
+ *
+ * A system transition (fired by a timer) has no acting user and skips the
+ * permission and role requirements; guards still apply. Only system
+ * transitions may write the stateData keys the engine reserves.
+ */
+export async function transitionCase({
+  caseId,
+  workflowId,
+  transition,
+  toState,
+  fromState,
+  actorId,
+  notes,
+  stateData,
+  system = false,
+}) {
+  if (!caseId) throw new ValidationError('caseId is required');
+  const data = system ? stateData : clientStateData(stateData);
+  if (!transition && !toState) {
+    throw new ValidationError('Either transition or currentState is required');
+  }
+
+  const preloaded = await loadCaseWorkflow(prisma, caseId, workflowId);
+  const actor = system ? null : await loadActorAccess(preloaded.case_, preloaded.workflow, actorId);
+
+  return prisma.$transaction(async tx => {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+
+    const { case_, workflow } = await loadCaseWorkflow(tx, caseId, workflowId);
+    const currentState = await resolveCurrentState(tx, case_, workflow);
+
+    if (fromState && fromState !== currentState) {
+      throw new ConflictError(`Case is in state '${currentState}', not '${fromState}'`);
+    }
+
+    const match = findTransition(workflow.definition, currentState, { transition, toState });
+    if (!match) {
+      const allowed = getOutgoingTransitions(workflow.definition, currentState);
+      throw new ValidationError(
+        `Transition ${describeRequest({ transition, toState })} is not allowed from state '${currentState}'`,
+        allowed.map(t => ({
+          code: 'TRANSITION_NOT_ALLOWED',
+          message: `Allowed: '${t.name}' to '${t.to}'`,
+        }))
+      );
+    }
+
+    const denied = system ? [] : checkTransitionAccess(match, actor);
+    if (denied.length > 0) {
+      throw new ForbiddenError(
+        `Transition '${match.name}' is not permitted: ${denied.map(d => d.message).join('; ')}`
+      );
+    }
+
+    const approval = await loadApproval(tx, case_, workflow, currentState);
+    const pending = checkApproval(approval?.approval, approval?.summary, match);
+    if (pending.length > 0) {
+      throw new ValidationError(`Transition '${match.name}' is waiting for approval`, pending);
+    }
+
+    const tasks = await loadTaskGate(tx, case_, workflow, currentState);
+    const waiting = checkTasks(tasks?.waitForTasks, tasks?.summary, match);
+    if (waiting.length > 0) {
+      throw new ValidationError(`Transition '${match.name}' is waiting for tasks`, waiting);
+    }
+
+    const context = await buildGuardContext(tx, case_, [match]);
+    const failures = evaluateGuards(match.guards, context);
+    if (failures.length > 0) {
+      throw new ValidationError(`Transition '${match.name}' is blocked by its guards`, failures);
+    }
+
+    const actions = resolveTransitionActions(workflow.definition, currentState, match.to, {
+      case: case_,
+      workflowId: workflow.id,
+      actorId: system ? null : actorId,
+      calendar: await loadBusinessCalendar(tx, case_.tenantId),
+    });
+
+    await updateCaseWithHistory(
+      tx,
+      case_,
+      { ...actions.caseChanges, status: match.to, workflowId: workflow.id },
+      system ? null : actorId
+    );
+
+    const state = await tx.workflowState.create({
+      data: {
+        caseId,
+        workflowId: workflow.id,
+        currentState: match.to,
+        previousState: currentState,
+        transitionedBy: system ? null : actorId || null,
+        transitionNotes: notes || null,
+        stateData: {
+          ...data,
+          transition: match.name,
+          ...(system && { actor: 'system' }),
+          ...(actions.results.length > 0 && { actions: actions.results }),
+        },
+      },
+      include: STATE_INCLUDE,
+    });
+
+    await cancelPendingTimers(tx, caseId);
+    await scheduleTimers(tx, state, actions.timers);
+    await cancelStateTasks(tx, caseId);
+    const spawned = await createTasks(tx, state, actions.tasks, {
+      tenantId: case_.tenantId,
+      actorId: system ? null : actorId,
+    });
+
+    return { state, transition: match, events: [...actions.events, ...spawned.events] };
+  });
+}
+
+/**
+ * Resolve the workflow a case is explicitly started on: the latest version of
+ * the requested one, which must belong to the case's tenant
+ */
+async function loadRequestedWorkflow(client, case_, workflowId) {
+  const requested = await client.workflow.findUnique({ where: { id: workflowId } });
+  if (!requested) throw new NotFoundError('Workflow');
+  if (requested.tenantId !== case_.tenantId) {
+    throw new ValidationError('workflowId must belong to the tenant of the case');
+  }
+
+  const workflow = await getLatestVersion(client, requested);
+  if (!workflow.isActive) throw new ValidationError(`Workflow ${workflow.id} is not active`);
+  return { workflow, binding: null };
+}
+
+/**
+ * Attach a case that has no workflow yet to one and enter its initial state.
+ * The workflow is the requested one or, without workflowId, the one the
+ * tenant's bindings select for the case. The initial WorkflowState row has no
+ * previousState; the initial state's onEnter actions run and its timers and
+ * tasks are created as for any other state.
+ * Returns { state, workflow, binding, transition: null, events }, or null when
+ * no workflow applies to the case.
+ */
+export async function startWorkflow({ caseId, workflowId, actorId, notes }) {
+  if (!caseId) throw new ValidationError('caseId is required');
+
+  return prisma.$transaction(async tx => {
+    await tx.$queryRaw`SELECT id FROM cases WHERE id = ${caseId}::uuid FOR UPDATE`;
+
+    const case_ = await tx.case.findFirst({ where: { id: caseId, deletedAt: null } });
+    if (!case_) throw new NotFoundError('Case');
+    if (case_.workflowId) {
+      throw new ConflictError(`Case is already bound to workflow ${case_.workflowId}`);
+    }
+
+    const resolved = workflowId
+      ? await loadRequestedWorkflow(tx, case_, workflowId)
+      : await resolveCaseWorkflow(tx, case_);
+    if (!resolved) return null;
+
+    const { workflow, binding } = resolved;
+    const initialState = getInitialState(workflow.definition);
+    const actions = resolveTransitionActions(workflow.definition, null, initialState, {
+      case: case_,
+      workflowId: workflow.id,
+      actorId: actorId || null,
+      calendar: await loadBusinessCalendar(tx, case_.tenantId),
+    });
+
+    await updateCaseWithHistory(
+      tx,
+      case_,
+      { ...actions.caseChanges, status: initialState, workflowId: workflow.id },
+      actorId
+    );
+
+    const state = await tx.workflowState.create({
+      data: {
+        caseId,
+        workflowId: workflow.id,
+        currentState: initialState,
+        previousState: null,
+        transitionedBy: actorId || null,
+        transitionNotes: notes || null,
+        stateData: {
+          start: { bindingId: binding?.id || null },
+          ...(actions.results.length > 0 && { actions: actions.results }),
+        },
+      },
+      include: STATE_INCLUDE,
+    });
+
+    await scheduleTimers(tx, state, actions.timers);
+    const spawned = await createTasks(tx, state, actions.tasks, {
+      tenantId: case_.tenantId,
+      actorId,
+    });
+
+    return {
+      state,
+      workflow,
+      binding,
+      transition: null,
+      events: [...actions.events, ...spawned.events],
+    };
+  });
+}
+
+/**
+ * Publish the events of a committed transition, or of a workflow start
+ * (which has no transition)
+ */
+export async function publishTransitionEvents(eventBus, { state, transition, events }) {
+  await eventBus.publish('workflow.state.changed', {
+    caseId: state.caseId,
+    workflowId: state.workflowId,
+    currentState: state.currentState,
+    previousState: state.previousState,
+    transition: transition?.name || null,
+  });
+  for (const event of events) {
+    await eventBus.publish(event.type, event.data);
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Workflow Versioning
+ * Every published definition is an immutable Workflow row. Versions of the same
+ * workflow share the id of the first version as their rootWorkflowId, and
+ * exactly one of them is flagged isLatest.
+ */
+
+import prisma from '../config/database.js';
+import { NotFoundError } from '../../../shared/common/errors.js';
+import { assertIfMatch } from '../../../shared/utils/etag.js';
+import { assertValidDefinition } from '../utils/definition.validator.js';
+
+// Fields and relations of the version chain, managed by the service
+const VERSION_FIELDS = [
+  'id',
+  'version',
+  'rootWorkflowId',
+  'isLatest',
+  'rootWorkflow',
+  'versions',
+  'createdAt',
+  'updatedAt',
+];
+// Fields an update can never set
+const PROTECTED_FIELDS = ['tenantId', ...VERSION_FIELDS];
+
+function withoutFields(body, fields) {
+  return Object.fromEntries(Object.entries(body).filter(([key]) => !fields.includes(key)));
+}
+
+/**
+ * The data of a new workflow from a request body. A new workflow starts its
+ * own version chain, so the version fields are left to their defaults.
+ */
+export function newWorkflowData(body) {
+  return withoutFields(body, VERSION_FIELDS);
+}
+
+/**
+ * Get the id shared by all versions of a workflow
+ */
+export function getRootId(workflow) {
+  return workflow.rootWorkflowId || workflow.id;
+}
+
+/**
+ * Prisma filter matching every version of a workflow
+ */
+export function versionsWhere(rootId) {
+  return { OR: [{ id: rootId }, { rootWorkflowId: rootId }] };
+}
+
+/**
+ * Get the latest version of the workflow a row belongs to
+ */
+export async function getLatestVersion(client, workflow) {
+  if (workflow.isLatest) return workflow;
+
+  const latest = await client.workflow.findFirst({
+    where: { ...versionsWhere(getRootId(workflow)), isLatest: true },
+  });
+  return latest || workflow;
+}
+
+/**
+ * List all versions of a workflow, newest first
+ */
+export async function getVersions(workflowId) {
+  const workflow = await prisma.workflow.findUnique({ where: { id: workflowId } });
+  if (!workflow) throw new NotFoundError('Workflow');
+
+  return prisma.workflow.findMany({
+    where: versionsWhere(getRootId(workflow)),
+    include: { creator: true },
+    orderBy: { version: 'desc' },
+  });
+}
+
+/**
+ * Lock a workflow row for the rest of the transaction
+ */
+async function lockWorkflow(tx, id) {
+  await tx.$queryRaw`SELECT id FROM workflows WHERE id = ${id}::uuid FOR UPDATE`;
+}
+
+/**
+ * Lock a workflow row for the rest of the transaction and check it against
+ * an If-Match ETag
+ */
+async function lockForUpdate(tx, id, ifMatch) {
+  await lockWorkflow(tx, id);
+  const workflow = await tx.workflow.findUnique({ where: { id } });
+  if (!workflow) throw new NotFoundError('Workflow');
+  assertIfMatch(ifMatch, workflow, 'Workflow');
+}
+
+/**
+ * Update a workflow.
+ * Changes without a definition apply in place. A new definition is published
+ * as a new version that becomes the latest one. Definitions of earlier
+ * versions are never modified, so cases pinned to them keep their rules.
+ * With ifMatch, the update only applies to the version of the row that ETag
+ * was issued for. Publishing locks the first version before the row itself,
+ * so concurrent publishes through any version of the workflow take turns and
+ * each numbers its version after the one before.
+ */
+export async function updateWorkflowVersioned(id, changes, { ifMatch } = {}) {
+  const current = await prisma.workflow.findUnique({ where: { id } });
+  if (!current) throw new NotFoundError('Workflow');
+
+  const data = withoutFields(changes, PROTECTED_FIELDS);
+
+  if (data.definition === undefined) {
+    const workflow = await prisma.$transaction(async tx => {
+      await lockForUpdate(tx, id, ifMatch);
+      return tx.workflow.update({ where: { id }, data });
+    });
+    return { workflow, published: false, warnings: [] };
+  }
+
+  const warnings = assertValidDefinition(data.definition);
+  const rootId = getRootId(current);
+  const workflow = await prisma.$transaction(async tx => {
+    await lockWorkflow(tx, rootId);
+    await lockForUpdate(tx, id, ifMatch);
+    const latest = await tx.workflow.findFirst({
+      where: versionsWhere(rootId),
+      orderBy: { version: 'desc' },
+    });
+
+    await tx.workflow.updateMany({
+      where: { ...versionsWhere(rootId), isLatest: true },
+      data: { isLatest: false, isDefault: false },
+    });
+
+    return tx.workflow.create({
+      data: {
+        tenantId: latest.tenantId,
+        name: latest.name,
+        description: latest.description,
+        isActive: latest.isActive,
+        isDefault: latest.isDefault,
+        createdBy: latest.createdBy,
+        ...data,
+        version: latest.version + 1,
+        rootWorkflowId: rootId,
+        isLatest: true,
+      },
+    });
+  });
+
+  return { workflow, published: true, warnings };
+}
@@ -0,0 +1,67 @@
+/**
+ * Business Calendar
+ * Works out due dates in working time, using the calendar a tenant keeps in
+ * Tenant.config.businessCalendar:
+ * {
+ *   workingDays: [1, 2, 3, 4, 5],   // 0 = Sunday ... 6 = Saturday
+ *   holidays: ['2026-12-25']
+ * }
+ * Dates are compared in UTC.
+ */
+
+import { parseDuration } from './duration.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CALENDAR = {
+  workingDays: [1, 2, 3, 4, 5],
+  holidays: [],
+};
+
+/**
+ * Read the business calendar from a tenant's config, falling back to
+ * Monday to Friday without holidays
+ */
+export function getBusinessCalendar(tenantConfig) {
+  const calendar = tenantConfig?.businessCalendar || {};
+  const workingDays = (Array.isArray(calendar.workingDays) ? calendar.workingDays : []).filter(
+    day => Number.isInteger(day) && day >= 0 && day <= 6
+  );
+  return {
+    workingDays: workingDays.length > 0 ? workingDays : DEFAULT_CALENDAR.workingDays,
+    holidays: Array.isArray(calendar.holidays) ? calendar.holidays : DEFAULT_CALENDAR.holidays,
+  };
+}
+
+export function isWorkingDay(date, calendar = DEFAULT_CALENDAR) {
+  return (
+    calendar.workingDays.includes(date.getUTCDay()) &&
+    !calendar.holidays.includes(date.toISOString().slice(0, 10))
+  );
+}
+
+/**
+ * Add a duration in working time. Every whole day of the duration is one
+ * working day ('5d' is five working days); the remainder is added after
+ * that and rolled forward past non-working days.
+ * Returns null for an invalid duration.
+ */
+export function addBusinessDuration(start, value, calendar = DEFAULT_CALENDAR) {
+  const ms = parseDuration(value);
+  if (ms === null || calendar.workingDays.length === 0) return null;
+
+  let days = Math.floor(ms / DAY_MS);
+  let date = new Date(start);
+
+  while (days > 0) {
+    date = new Date(date.getTime() + DAY_MS);
+    if (isWorkingDay(date, calendar)) days -= 1;
+  }
+
+  date = new Date(date.getTime() + (ms % DAY_MS));
+  while (!isWorkingDay(date, calendar)) {
+    date = new Date(date.getTime() + DAY_MS);
+  }
+
+  return date;
+}
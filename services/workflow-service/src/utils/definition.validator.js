@@ -0,0 +1,613 @@
+/**
+ * Workflow Definition Validator
+ * Structural checks for Workflow.definition, run before a definition is stored
+ *
+ * Errors make a definition unusable at runtime; warnings flag definitions that
+ * work but are probably not what the author meant.
+ */
+
+import { ValidationError } from '../../../shared/common/errors.js';
+import {
+  ACTION_TYPES,
+  ASSIGN_TARGETS,
+  checkSetFieldValue,
+  SETTABLE_FIELDS,
+  TIMER_CALENDARS,
+  UUID_PATTERN,
+} from '../services/action.service.js';
+import { getStateName } from '../services/definition.service.js';
+import { APPROVAL_RULES } from '../services/approval.service.js';
+import { GUARD_TYPES } from '../services/guard.service.js';
+import { parseDuration } from './duration.js';
+
+const PERMISSION_PATTERN = /^[a-z_]+:[a-z_*]+$/i;
+
+// Parameter each guard type cannot do without
+const GUARD_PARAMS = {
+  requiredField: 'field',
+  requiredMetadata: 'key',
+};
+
+function issue(code, message, path) {
+  return { code, message, path };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Parameter each action type cannot do without
+const ACTION_PARAMS = {
+  setField: 'field',
+  publish: 'event',
+  createTask: 'title',
+  startTimer: 'name',
+};
+
+function validateAction(action, path, report) {
+  if (!ACTION_TYPES.includes(action?.type)) {
+    report.errors.push(
+      issue('UNKNOWN_ACTION', `Unknown action type '${action?.type}'`, `${path}.type`)
+    );
+    return;
+  }
+
+  const param = ACTION_PARAMS[action.type];
+  if (param && !isNonEmptyString(action[param])) {
+    report.errors.push(
+      issue('INVALID_ACTION', `Action '${action.type}' requires '${param}'`, `${path}.${param}`)
+    );
+  }
+
+  if (
+    action.type === 'setField' &&
+    isNonEmptyString(action.field) &&
+    !SETTABLE_FIELDS.includes(action.field) &&
+    !action.field.startsWith('metadata.')
+  ) {
+    report.errors.push(
+      issue(
+        'INVALID_ACTION',
+        `Field '${action.field}' cannot be set; use one of ${SETTABLE_FIELDS.join(', ')} or metadata.<key>`,
+        `${path}.field`
+      )
+    );
+  }
+  if (action.type === 'setField' && SETTABLE_FIELDS.includes(action.field)) {
+    const invalid = checkSetFieldValue(action.field, action.value ?? null);
+    if (invalid) report.errors.push(issue('INVALID_ACTION', invalid, `${path}.value`));
+  }
+
+  if (action.type === 'assign' && !action.userId && !action.role && action.to === undefined) {
+    report.errors.push(
+      issue('INVALID_ACTION', "Action 'assign' requires 'userId', 'role' or 'to'", path)
+    );
+  }
+  if (
+    action.type === 'assign' &&
+    action.userId !== undefined &&
+    !(typeof action.userId === 'string' && UUID_PATTERN.test(action.userId))
+  ) {
+    report.errors.push(
+      issue('INVALID_ACTION', 'assign userId must be a user id', `${path}.userId`)
+    );
+  }
+  if (action.type === 'assign' && action.to !== undefined && !ASSIGN_TARGETS.includes(action.to)) {
+    report.errors.push(
+      issue(
+        'INVALID_ACTION',
+        `assign 'to' must be one of ${ASSIGN_TARGETS.join(', ')}`,
+        `${path}.to`
+      )
+    );
+  }
+
+  // A zero duration would fire the timer the moment its state is entered
+  if (action.type === 'startTimer' && !(parseDuration(action.duration) > 0)) {
+    report.errors.push(
+      issue(
+        'INVALID_DURATION',
+        "Timers need a duration longer than zero, such as '4h' or '2d'",
+        `${path}.duration`
+      )
+    );
+  }
+  if (action.type === 'startTimer') {
+    if (action.calendar !== undefined && !TIMER_CALENDARS.includes(action.calendar)) {
+      report.errors.push(
+        issue(
+          'INVALID_ACTION',
+          `Timer calendar must be one of ${TIMER_CALENDARS.join(', ')}`,
+          `${path}.calendar`
+        )
+      );
+    }
+    if (!isNonEmptyString(action.transition) && !isNonEmptyString(action.event)) {
+      report.errors.push(
+        issue('INVALID_ACTION', 'Timers need a transition, an event or both', path)
+      );
+    }
+  }
+  if (
+    action.type === 'createTask' &&
+    action.due !== undefined &&
+    parseDuration(action.due) === null
+  ) {
+    report.errors.push(
+      issue('INVALID_DURATION', "createTask due must be a duration such as '2d'", `${path}.due`)
+    );
+  }
+  if (
+    action.type === 'createTask' &&
+    action.workflow !== undefined &&
+    !isNonEmptyString(action.workflow)
+  ) {
+    report.errors.push(
+      issue('INVALID_ACTION', 'createTask workflow must be a workflow id', `${path}.workflow`)
+    );
+  }
+}
+
+function validateApproval(approval, path, report) {
+  if (!approval || typeof approval !== 'object') {
+    report.errors.push(issue('INVALID_APPROVAL', 'approval must be an object', path));
+    return;
+  }
+
+  if (!Array.isArray(approval.voters) || approval.voters.length === 0) {
+    report.errors.push(
+      issue('INVALID_APPROVAL', 'approval voters must be a non-empty array', `${path}.voters`)
+    );
+  } else {
+    const names = new Set();
+    approval.voters.forEach((voter, index) => {
+      const voterPath = `${path}.voters[${index}]`;
+      if (!isNonEmptyString(voter?.name)) {
+        report.errors.push(issue('INVALID_APPROVAL', 'Voters need a name', `${voterPath}.name`));
+      } else if (names.has(voter.name)) {
+        report.errors.push(
+          issue('INVALID_APPROVAL', `Voter '${voter.name}' is declared more than once`, voterPath)
+        );
+      }
+      names.add(voter?.name);
+
+      const members = ['users', 'roles'].filter(key => voter?.[key] !== undefined);
+      if (members.length === 0) {
+        report.errors.push(
+          issue('INVALID_APPROVAL', 'Voters need users, roles or both', voterPath)
+        );
+      }
+      for (const key of members) {
+        if (!Array.isArray(voter[key]) || !voter[key].every(isNonEmptyString)) {
+          report.errors.push(
+            issue('INVALID_APPROVAL', `${key} must be an array of strings`, `${voterPath}.${key}`)
+          );
+        }
+      }
+    });
+  }
+
+  if (approval.rule !== undefined && !APPROVAL_RULES.includes(approval.rule)) {
+    report.errors.push(
+      issue(
+        'INVALID_APPROVAL',
+        `approval rule must be one of ${APPROVAL_RULES.join(', ')}`,
+        `${path}.rule`
+      )
+    );
+  }
+  if (approval.rule === 'quorum') {
+    const parties = Array.isArray(approval.voters) ? approval.voters.length : 0;
+    if (!Number.isInteger(approval.quorum) || approval.quorum < 1 || approval.quorum > parties) {
+      report.errors.push(
+        issue(
+          'INVALID_APPROVAL',
+          `quorum must be a whole number between 1 and the number of voters (${parties})`,
+          `${path}.quorum`
+        )
+      );
+    }
+  }
+
+  if (
+    approval.unlocks !== undefined &&
+    (!Array.isArray(approval.unlocks) || !approval.unlocks.every(isNonEmptyString))
+  ) {
+    report.errors.push(
+      issue('INVALID_APPROVAL', 'unlocks must be an array of transition names', `${path}.unlocks`)
+    );
+  }
+}
+
+function validateStateSettings(state, path, report) {
+  for (const phase of ['onEnter', 'onExit']) {
+    if (state[phase] === undefined) continue;
+    if (!Array.isArray(state[phase])) {
+      report.errors.push(issue('INVALID_ACTIONS', `${phase} must be an array`, `${path}.${phase}`));
+      continue;
+    }
+    state[phase].forEach((action, index) =>
+      validateAction(action, `${path}.${phase}[${index}]`, report)
+    );
+  }
+
+  if (state.approval !== undefined) {
+    validateApproval(state.approval, `${path}.approval`, report);
+  }
+
+  if (state.timers !== undefined) {
+    if (!Array.isArray(state.timers)) {
+      report.errors.push(issue('INVALID_TIMERS', 'timers must be an array', `${path}.timers`));
+    } else {
+      state.timers.forEach((timer, index) =>
+        validateAction({ ...timer, type: 'startTimer' }, `${path}.timers[${index}]`, report)
+      );
+    }
+  }
+
+  if (state.tasks !== undefined) {
+    if (!Array.isArray(state.tasks)) {
+      report.errors.push(issue('INVALID_TASKS', 'tasks must be an array', `${path}.tasks`));
+    } else {
+      state.tasks.forEach((task, index) =>
+        validateAction({ ...task, type: 'createTask' }, `${path}.tasks[${index}]`, report)
+      );
+    }
+  }
+
+  const { waitForTasks } = state;
+  if (
+    waitForTasks !== undefined &&
+    typeof waitForTasks !== 'boolean' &&
+    !(Array.isArray(waitForTasks) && waitForTasks.every(isNonEmptyString))
+  ) {
+    report.errors.push(
+      issue(
+        'INVALID_TASKS',
+        'waitForTasks must be true, false or an array of transition names',
+        `${path}.waitForTasks`
+      )
+    );
+  }
+}
+
+/**
+ * List the transitions a state's timers, approval and task wait refer to, as
+ * [transition name, description, path] entries
+ */
+function stateTransitionReferences(state) {
+  const timers = [
+    ...(Array.isArray(state.timers) ? state.timers : []).map((timer, i) => [timer, `timers[${i}]`]),
+    ...(Array.isArray(state.onEnter) ? state.onEnter : [])
+      .map((action, i) => [action, `onEnter[${i}]`])
+      .filter(([action]) => action?.type === 'startTimer'),
+  ];
+  const references = timers.map(([timer, path]) => [
+    timer?.transition,
+    `Timer '${timer?.name}' fires`,
+    `${path}.transition`,
+  ]);
+
+  const approval = state.approval || {};
+  (Array.isArray(approval.unlocks) ? approval.unlocks : []).forEach((name, i) =>
+    references.push([name, 'Approval unlocks', `approval.unlocks[${i}]`])
+  );
+  references.push([
+    approval.rejectTransition,
+    'Approval rejectTransition',
+    'approval.rejectTransition',
+  ]);
+
+  (Array.isArray(state.waitForTasks) ? state.waitForTasks : []).forEach((name, i) =>
+    references.push([name, 'waitForTasks holds back', `waitForTasks[${i}]`])
+  );
+
+  return references.filter(([name]) => isNonEmptyString(name));
+}
+
+/**
+ * Check that the transitions named by timers, approvals and task waits leave their state
+ */
+function validateStateTargets(definition, transitions, report) {
+  definition.states.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') return;
+    const state = getStateName(entry);
+
+    for (const [name, description, path] of stateTransitionReferences(entry)) {
+      if (!transitions.some(t => t.from === state && t.name === name)) {
+        report.errors.push(
+          issue(
+            'UNKNOWN_TRANSITION',
+            `${description} '${name}', which does not leave state '${state}'`,
+            `states[${index}].${path}`
+          )
+        );
+      }
+    }
+  });
+}
+
+function validateStates(definition, report) {
+  if (!Array.isArray(definition.states) || definition.states.length === 0) {
+    report.errors.push(issue('MISSING_STATES', 'states must be a non-empty array', 'states'));
+    return [];
+  }
+
+  const seen = new Set();
+  definition.states.forEach((entry, index) => {
+    const state = getStateName(entry);
+    if (!isNonEmptyString(state)) {
+      report.errors.push(
+        issue(
+          'INVALID_STATE',
+          'States must be non-empty names or objects with a name',
+          `states[${index}]`
+        )
+      );
+      return;
+    }
+    if (seen.has(state)) {
+      report.errors.push(
+        issue('DUPLICATE_STATE', `State '${state}' is declared more than once`, `states[${index}]`)
+      );
+    }
+    seen.add(state);
+    if (typeof entry === 'object') {
+      validateStateSettings(entry, `states[${index}]`, report);
+    }
+  });
+
+  if (definition.initialState === undefined) {
+    report.warnings.push(
+      issue(
+        'MISSING_INITIAL_STATE',
+        `initialState is not set; '${getStateName(definition.states[0])}' will be used`,
+        'initialState'
+      )
+    );
+  } else if (!seen.has(definition.initialState)) {
+    report.errors.push(
+      issue(
+        'UNKNOWN_INITIAL_STATE',
+        `initialState '${definition.initialState}' is not a declared state`,
+        'initialState'
+      )
+    );
+  }
+
+  return [...seen].filter(isNonEmptyString);
+}
+
+function validateGuards(transition, path, report) {
+  if (transition.guards === undefined) return;
+  if (!Array.isArray(transition.guards)) {
+    report.errors.push(issue('INVALID_GUARDS', 'guards must be an array', `${path}.guards`));
+    return;
+  }
+
+  transition.guards.forEach((guard, index) => {
+    const guardPath = `${path}.guards[${index}]`;
+    if (!GUARD_TYPES.includes(guard?.type)) {
+      report.errors.push(
+        issue('UNKNOWN_GUARD', `Unknown guard type '${guard?.type}'`, `${guardPath}.type`)
+      );
+      return;
+    }
+    const param = GUARD_PARAMS[guard.type];
+    if (param && !isNonEmptyString(guard[param])) {
+      report.errors.push(
+        issue('INVALID_GUARD', `Guard '${guard.type}' requires '${param}'`, `${guardPath}.${param}`)
+      );
+    }
+    if (guard.type === 'minAttachments' && guard.count !== undefined) {
+      if (!Number.isInteger(guard.count) || guard.count < 0) {
+        report.errors.push(
+          issue(
+            'INVALID_GUARD',
+            'minAttachments count must be a non-negative integer',
+            `${guardPath}.count`
+          )
+        );
+      }
+    }
+  });
+}
+
+function validateAccess(transition, path, report) {
+  for (const key of ['permissions', 'roles']) {
+    const value = transition[key];
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+      report.errors.push(
+        issue('INVALID_ACCESS', `${key} must be an array of strings`, `${path}.${key}`)
+      );
+    }
+  }
+
+  (Array.isArray(transition.permissions) ? transition.permissions : []).forEach(
+    (permission, index) => {
+      if (isNonEmptyString(permission) && !PERMISSION_PATTERN.test(permission)) {
+        report.errors.push(
+          issue(
+            'INVALID_PERMISSION',
+            `Permission '${permission}' must look like 'resource:action'`,
+            `${path}.permissions[${index}]`
+          )
+        );
+      }
+    }
+  );
+}
+
+function validateTransitions(definition, states, report) {
+  if (!Array.isArray(definition.transitions)) {
+    report.errors.push(issue('MISSING_TRANSITIONS', 'transitions must be an array', 'transitions'));
+    return [];
+  }
+
+  const stateSet = new Set(states);
+  const names = new Set();
+  const targets = new Set();
+  const valid = [];
+
+  definition.transitions.forEach((transition, index) => {
+    const path = `transitions[${index}]`;
+    if (!transition || typeof transition !== 'object') {
+      report.errors.push(issue('INVALID_TRANSITION', 'Transitions must be objects', path));
+      return;
+    }
+
+    let usable = true;
+    for (const key of ['from', 'to', 'name']) {
+      if (!isNonEmptyString(transition[key])) {
+        report.errors.push(
+          issue('INVALID_TRANSITION', `Transition is missing '${key}'`, `${path}.${key}`)
+        );
+        usable = false;
+      }
+    }
+
+    for (const key of ['from', 'to']) {
+      if (isNonEmptyString(transition[key]) && !stateSet.has(transition[key])) {
+        report.errors.push(
+          issue(
+            'UNKNOWN_STATE',
+            `Transition '${transition.name}' references unknown state '${transition[key]}'`,
+            `${path}.${key}`
+          )
+        );
+        usable = false;
+      }
+    }
+
+    const nameKey = `${transition.from}\u0000${transition.name}`;
+    if (names.has(nameKey)) {
+      report.errors.push(
+        issue(
+          'DUPLICATE_TRANSITION',
+          `Transition '${transition.name}' is declared more than once from state '${transition.from}'`,
+          `${path}.name`
+        )
+      );
+    }
+    names.add(nameKey);
+
+    const targetKey = `${transition.from}\u0000${transition.to}`;
+    if (targets.has(targetKey)) {
+      report.warnings.push(
+        issue(
+          'AMBIGUOUS_TARGET',
+          `More than one transition leads from '${transition.from}' to '${transition.to}'; requests by target state will use the first`,
+          path
+        )
+      );
+    }
+    targets.add(targetKey);
+
+    validateGuards(transition, path, report);
+    validateAccess(transition, path, report);
+
+    if (usable) valid.push(transition);
+  });
+
+  return valid;
+}
+
+/**
+ * Find the states reachable by following transitions from a set of states
+ */
+function reachableFrom(startStates, edges) {
+  const seen = new Set(startStates);
+  const queue = [...startStates];
+  while (queue.length > 0) {
+    const state = queue.shift();
+    for (const next of edges.get(state) || []) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return seen;
+}
+
+function validateGraph(definition, states, transitions, report) {
+  const forward = new Map();
+  const backward = new Map();
+  for (const { from, to } of transitions) {
+    forward.set(from, [...(forward.get(from) || []), to]);
+    backward.set(to, [...(backward.get(to) || []), from]);
+  }
+
+  const terminal = states.filter(state => !forward.has(state));
+  if (terminal.length === 0) {
+    report.errors.push(
+      issue(
+        'NO_TERMINAL_STATE',
+        'Every state has an outgoing transition, so no case can ever finish',
+        'states'
+      )
+    );
+  }
+
+  const initialState = definition.initialState ?? states[0];
+  if (states.includes(initialState)) {
+    const reachable = reachableFrom([initialState], forward);
+    states
+      .filter(state => !reachable.has(state))
+      .forEach(state =>
+        report.warnings.push(
+          issue(
+            'UNREACHABLE_STATE',
+            `State '${state}' cannot be reached from '${initialState}'`,
+            'states'
+          )
+        )
+      );
+  }
+
+  if (terminal.length > 0) {
+    const canFinish = reachableFrom(terminal, backward);
+    states
+      .filter(state => !canFinish.has(state))
+      .forEach(state =>
+        report.warnings.push(
+          issue('NO_PATH_TO_TERMINAL', `Cases in state '${state}' can never finish`, 'states')
+        )
+      );
+  }
+}
+
+/**
+ * Validate a candidate workflow definition.
+ * Returns { valid, errors, warnings }; each issue is { code, message, path }.
+ */
+export function validateDefinition(definition) {
+  const report = { errors: [], warnings: [] };
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    report.errors.push(issue('INVALID_DEFINITION', 'definition must be an object', ''));
+    return { valid: false, ...report };
+  }
+
+  const states = validateStates(definition, report);
+  const transitions = validateTransitions(definition, states, report);
+  if (states.length > 0) {
+    validateStateTargets(definition, transitions, report);
+    validateGraph(definition, states, transitions, report);
+  }
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Validate a definition and throw a ValidationError listing its errors.
+ * Returns the warnings of a valid definition.
+ */
+export function assertValidDefinition(definition) {
+  const { valid, errors, warnings } = validateDefinition(definition);
+  if (!valid) {
+    throw new ValidationError('Invalid workflow definition', errors);
+  }
+  return warnings;
+}
@@ -0,0 +1,51 @@
+/**
+ * Duration Helpers
+ * Parses durations used in workflow definitions, written either as a string
+ * ('30m', '12h', '5d', '2w') or as an object ({ days: 1, hours: 4 })
+ */
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const OBJECT_UNITS = {
+  minutes: 'm',
+  hours: 'h',
+  days: 'd',
+  weeks: 'w',
+};
+
+const DURATION_PATTERN = /^(\d+)\s*([mhdw])$/;
+
+/**
+ * Convert a duration to milliseconds, or return null if it is not valid
+ */
+export function parseDuration(value) {
+  if (typeof value === 'string') {
+    const match = DURATION_PATTERN.exec(value.trim());
+    return match ? Number(match[1]) * UNIT_MS[match[2]] : null;
+  }
+
+  if (value && typeof value === 'object') {
+    let total = 0;
+    for (const [key, unit] of Object.entries(OBJECT_UNITS)) {
+      if (value[key] === undefined) continue;
+      if (!Number.isFinite(value[key]) || value[key] < 0) return null;
+      total += value[key] * UNIT_MS[unit];
+    }
+    return total > 0 ? total : null;
+  }
+
+  return null;
+}
+
+/**
+ * Add a duration to a date
+ */
+export function addDuration(start, value) {
+  const ms = parseDuration(value);
+  return ms === null ? null : new Date(new Date(start).getTime() + ms);
+}
@@ -39,8 +39,10 @@ export class ForbiddenError extends AppError {
 }
 
 export class ConflictError extends AppError {
-  constructor(message = 'Resource conflict') {
+  constructor(message = 'Resource conflict', current) {
     super(message, 409, 'CONFLICT');
+    // Current representation of the resource, returned to help clients merge
+    this.current = current;
   }
 }
 
@@ -15,11 +15,13 @@ export const errorHandler = (err, req, res, next) => {
 
   // Handle known errors
   if (err instanceof AppError) {
+    if (err.etag) res.set('ETag', err.etag);
     return res.status(err.statusCode).json({
       error: {
         code: err.code,
         message: err.message,
         ...(err.errors && { errors: err.errors }),
+        ...(err.current !== undefined && { current: err.current }),
       },
     });
   }
@@ -0,0 +1,45 @@
+/**
+ * Shared Entity Tags for Optimistic Concurrency
+ * A record's ETag changes whenever the record is updated. Clients send it back
+ * in If-Match so updates made against a stale copy are rejected.
+ */
+
+import { createHash } from 'node:crypto';
+import { ConflictError } from '../common/errors.js';
+
+/**
+ * ETag of a record with an id and updatedAt
+ */
+export function entityTag(record) {
+  const version = new Date(record.updatedAt).toISOString();
+  const hash = createHash('sha1').update(`${record.id}:${version}`).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match header against a record. A missing header always matches.
+ * If-Match uses strong comparison, so weak tags (W/"...") never match.
+ */
+export function ifMatchSatisfied(ifMatch, record) {
+  if (ifMatch === undefined || ifMatch === null) return true;
+  const tag = entityTag(record);
+  return String(ifMatch)
+    .split(',')
+    .map(value => value.trim())
+    .some(value => value === '*' || value === tag);
+}
+
+/**
+ * Throw a ConflictError carrying the current record when If-Match does not match it
+ */
+export function assertIfMatch(ifMatch, record, resource = 'Resource') {
+  if (!ifMatchSatisfied(ifMatch, record)) {
+    const error = new ConflictError(
+      `${resource} has been changed since it was read; merge with the current version and retry`,
+      record
+    );
+    // Sent back as the ETag header, for the retry's If-Match
+    error.etag = entityTag(record);
+    throw error;
+  }
+}